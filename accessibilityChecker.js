@@ -0,0 +1,223 @@
+const axe = require('axe-core');
+const { preparePage, resolveViewport } = require('./screenshotHandler');
+
+// WCAG 2.x A/AA rules plus axe best practices (heading order, landmarks, page-has-heading-one)
+const DEFAULT_TAGS = ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa', 'wcag22aa', 'best-practice'];
+
+// axe impact -> severity used across the service's checks
+const IMPACT_SEVERITY = {
+  critical: 'error',
+  serious: 'error',
+  moderate: 'warning',
+  minor: 'warning'
+};
+
+const IMPACT_ORDER = ['critical', 'serious', 'moderate', 'minor'];
+
+/**
+ * Map axe tags to WCAG success criteria and conformance level
+ * e.g. ['wcag2a', 'wcag111'] -> { criteria: ['1.1.1'], level: 'A', bestPractice: false }
+ * @param {string[]} tags - axe rule tags
+ * @returns {{criteria: string[], level: string|null, bestPractice: boolean}}
+ */
+function mapWcagTags(tags) {
+  const criteria = [];
+  let level = null;
+  for (const tag of tags) {
+    const criterion = tag.match(/^wcag(\d)(\d)(\d+)$/);
+    if (criterion) {
+      criteria.push(`${criterion[1]}.${criterion[2]}.${criterion[3]}`);
+      continue;
+    }
+    const conformance = tag.match(/^wcag2\d?(a{1,3})$/);
+    if (conformance) {
+      const tagLevel = conformance[1].toUpperCase();
+      // A rule tagged for several versions keeps its strictest (lowest) level
+      if (!level || tagLevel.length < level.length) level = tagLevel;
+    }
+  }
+  return { criteria, level, bestPractice: tags.includes('best-practice') };
+}
+
+/**
+ * Empty result carrying an ERROR status
+ */
+function errorResult(issue) {
+  return {
+    status: 'ERROR',
+    issue,
+    axeVersion: axe.version,
+    violationCount: 0,
+    elementCount: 0,
+    counts: { critical: 0, serious: 0, moderate: 0, minor: 0 },
+    criteria: {},
+    violations: [],
+    needsReview: []
+  };
+}
+
+/**
+ * Run axe-core on a loaded page and map the results to WCAG criteria and severities
+ * @param {import('playwright').Page} page - Loaded page
+ * @param {Object} options
+ * @param {string[]} options.tags - axe tags to run (default: WCAG 2.2 A/AA + best practices)
+ * @param {string[]} options.disableRules - axe rule ids to skip
+ * @param {number} options.detailLimit - Max elements listed per rule (default: 10)
+ * @returns {Promise<Object>} Accessibility result with its own status
+ */
+async function runAxe(page, options = {}) {
+  const detailLimit = options.detailLimit || 10;
+  const tags = Array.isArray(options.tags) && options.tags.length > 0 ? options.tags : DEFAULT_TAGS;
+
+  try {
+    // Evaluated rather than injected as a <script>, so page CSP cannot block it
+    const hasAxe = await page.evaluate(() => typeof window.axe !== 'undefined');
+    if (!hasAxe) await page.evaluate(axe.source);
+
+    const raw = await page.evaluate(async ({ tags, disableRules }) => {
+      const rules = {};
+      for (const id of disableRules) rules[id] = { enabled: false };
+      const results = await window.axe.run(document, {
+        runOnly: { type: 'tag', values: tags },
+        rules,
+        resultTypes: ['violations', 'incomplete']
+      });
+      const slim = items => items.map(item => ({
+        id: item.id,
+        impact: item.impact,
+        description: item.description,
+        help: item.help,
+        helpUrl: item.helpUrl,
+        tags: item.tags,
+        nodes: item.nodes.map(node => ({
+          target: node.target,
+          html: node.html,
+          impact: node.impact,
+          failureSummary: node.failureSummary
+        }))
+      }));
+      return { violations: slim(results.violations), incomplete: slim(results.incomplete) };
+    }, { tags, disableRules: options.disableRules || [] });
+
+    const violations = raw.violations.map(violation => {
+      const wcag = mapWcagTags(violation.tags);
+      return {
+        rule: violation.id,
+        impact: violation.impact,
+        severity: IMPACT_SEVERITY[violation.impact] || 'warning',
+        help: violation.help,
+        description: violation.description,
+        helpUrl: violation.helpUrl,
+        wcagCriteria: wcag.criteria,
+        wcagLevel: wcag.level,
+        bestPractice: wcag.bestPractice,
+        nodeCount: violation.nodes.length,
+        // Targets inside iframes/shadow roots are arrays of selectors; join them into one path
+        nodes: violation.nodes.slice(0, detailLimit).map(node => ({
+          selector: node.target.map(part => (Array.isArray(part) ? part.join(' >>> ') : part)).join(' >>> '),
+          html: node.html.substring(0, 200),
+          failureSummary: node.failureSummary
+        }))
+      };
+    }).sort((a, b) => IMPACT_ORDER.indexOf(a.impact) - IMPACT_ORDER.indexOf(b.impact));
+
+    const counts = { critical: 0, serious: 0, moderate: 0, minor: 0 };
+    const criteria = {};
+    for (const violation of violations) {
+      if (counts[violation.impact] !== undefined) counts[violation.impact]++;
+      for (const criterion of violation.wcagCriteria) {
+        criteria[criterion] = (criteria[criterion] || 0) + violation.nodeCount;
+      }
+    }
+
+    const errorCount = violations.filter(v => v.severity === 'error').length;
+    let status = 'PASS';
+    if (errorCount > 0) status = 'FAIL';
+    else if (violations.length > 0) status = 'WARNING';
+
+    const issue = violations.length > 0
+      ? `${violations.length} accessibility rule${violations.length !== 1 ? 's' : ''} failed (${IMPACT_ORDER.filter(i => counts[i] > 0).map(i => `${counts[i]} ${i}`).join(', ')})`
+      : null;
+
+    return {
+      status,
+      issue,
+      axeVersion: axe.version,
+      violationCount: violations.length,
+      elementCount: violations.reduce((sum, v) => sum + v.nodeCount, 0),
+      counts,
+      criteria,
+      violations,
+      needsReview: raw.incomplete.map(item => ({
+        rule: item.id,
+        help: item.help,
+        helpUrl: item.helpUrl,
+        wcagCriteria: mapWcagTags(item.tags).criteria,
+        nodeCount: item.nodes.length
+      }))
+    };
+  } catch (error) {
+    console.warn('[ACCESSIBILITY] axe run failed:', error.message);
+    return errorResult(`Accessibility check failed: ${error.message}`);
+  }
+}
+
+/**
+ * Load a page at one or more viewports and run the accessibility audit at each.
+ * Pages are prepared like screenshots (lazy content loaded, cookie banners dismissed)
+ * so results match what reviewers see.
+ * @param {string} url - The URL to check
+ * @param {Object} options
+ * @param {Array<string|Object>} options.viewports - Viewport specs (default: ['desktop'])
+ * @param {string[]} options.tags - axe tags (see runAxe)
+ * @param {string[]} options.disableRules - axe rule ids to skip
+ * @param {number} options.detailLimit - Max elements listed per rule
+ * @param {boolean} options.dismissPopups - Dismiss cookie banners and modals first (default: true)
+ * @returns {Promise<{status: string, issue: string|null, viewports: Object}>} Results keyed by viewport name
+ */
+async function checkAccessibility(url, options = {}) {
+  const specs = Array.isArray(options.viewports) && options.viewports.length > 0 ? options.viewports : ['desktop'];
+  const results = {};
+
+  for (const spec of specs) {
+    const resolved = resolveViewport(spec);
+    let release;
+    try {
+      console.log(`[ACCESSIBILITY] Checking ${url} at ${resolved.name}`);
+      const prepared = await preparePage(url, resolved, { dismiss: options.dismissPopups !== false });
+      release = prepared.release;
+
+      results[resolved.name] = await runAxe(prepared.page, options);
+
+      await release();
+      release = null;
+      console.log(`[ACCESSIBILITY] ${results[resolved.name].status} for ${url} at ${resolved.name}: ${results[resolved.name].violationCount} rule(s) failed`);
+    } catch (error) {
+      console.error(`[ACCESSIBILITY] Error checking ${url} at ${resolved.name}:`, error.message);
+      if (release) await release();
+      results[resolved.name] = errorResult(`Error checking page: ${error.message}`);
+    }
+  }
+
+  // Overall status is the worst across viewports
+  const ranking = ['PASS', 'WARNING', 'FAIL', 'ERROR'];
+  const status = Object.values(results)
+    .map(result => result.status)
+    .reduce((worst, current) => (ranking.indexOf(current) > ranking.indexOf(worst) ? current : worst), 'PASS');
+  const issues = Object.entries(results)
+    .filter(([, result]) => result.issue)
+    .map(([name, result]) => `${name}: ${result.issue}`);
+
+  return {
+    status,
+    issue: issues.length > 0 ? issues.join('; ') : null,
+    viewports: results
+  };
+}
+
+module.exports = {
+  checkAccessibility,
+  runAxe,
+  mapWcagTags,
+  DEFAULT_TAGS
+};
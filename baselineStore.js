@@ -0,0 +1,105 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Root directory for the default filesystem baseline store
+const BASELINE_DIR = process.env.BASELINE_DIR || path.join(__dirname, 'baselines');
+
+/**
+ * Build a stable, filesystem-safe id for a page + viewport pair
+ * e.g. "example.com-about-us-desktop-3f2a9c1d"
+ * @param {string} url - Page URL
+ * @param {string} viewport - Viewport name (e.g. 'desktop', 'iPhone 13', '1366x768')
+ * @param {boolean} fullPage - Full-page captures get a different id from viewport-only ones
+ * @returns {string}
+ */
+function baselineId(url, viewport, fullPage = true) {
+  let slug;
+  try {
+    const parsed = new URL(url);
+    slug = `${parsed.host}${parsed.pathname}`;
+  } catch {
+    slug = url;
+  }
+  slug = slug.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').substring(0, 80);
+  const hash = crypto.createHash('sha1').update(`${url}|${viewport}|${fullPage ? 'full' : 'viewport'}`).digest('hex').substring(0, 8);
+  const viewportSlug = String(viewport).toLowerCase().replace(/[^a-z0-9@.]+/g, '-').replace(/^-+|-+$/g, '');
+  return `${slug}-${viewportSlug}${fullPage ? '' : '-fold'}-${hash}`;
+}
+
+/**
+ * Create a baseline store backed by the local filesystem.
+ * Images live at <root>/<kind>/<id>.png with metadata in <id>.json, where kind is
+ * "baseline" (approved) or "candidate" (latest capture awaiting approval).
+ *
+ * Any object with the same four async methods can be used instead (e.g. an S3 or
+ * Supabase Storage implementation):
+ *   load(id, kind)                 -> { image: Buffer, meta: Object } | null
+ *   save(id, kind, image, meta)    -> void
+ *   remove(id, kind)               -> void
+ *   list(kind)                     -> Array<Object> (meta of every stored entry)
+ * @param {string} rootDir - Directory to store images in (default: BASELINE_DIR env or ./baselines)
+ * @returns {{load: Function, save: Function, remove: Function, list: Function}}
+ */
+function createFileBaselineStore(rootDir = BASELINE_DIR) {
+  const filePaths = (id, kind) => {
+    // Ids come from baselineId, but requests may pass them back in; keep them inside rootDir
+    const safeId = path.basename(id);
+    const dir = path.join(rootDir, kind);
+    return { dir, image: path.join(dir, `${safeId}.png`), meta: path.join(dir, `${safeId}.json`) };
+  };
+
+  async function load(id, kind) {
+    const files = filePaths(id, kind);
+    try {
+      const [image, meta] = await Promise.all([
+        fs.promises.readFile(files.image),
+        fs.promises.readFile(files.meta, 'utf8')
+      ]);
+      return { image, meta: JSON.parse(meta) };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async function save(id, kind, image, meta) {
+    const files = filePaths(id, kind);
+    await fs.promises.mkdir(files.dir, { recursive: true });
+    await fs.promises.writeFile(files.image, image);
+    await fs.promises.writeFile(files.meta, JSON.stringify(meta, null, 2));
+  }
+
+  async function remove(id, kind) {
+    const files = filePaths(id, kind);
+    await fs.promises.rm(files.image, { force: true });
+    await fs.promises.rm(files.meta, { force: true });
+  }
+
+  async function list(kind) {
+    const dir = path.join(rootDir, kind);
+    let names;
+    try {
+      names = await fs.promises.readdir(dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    const entries = [];
+    for (const name of names.filter(n => n.endsWith('.json'))) {
+      try {
+        entries.push(JSON.parse(await fs.promises.readFile(path.join(dir, name), 'utf8')));
+      } catch (error) {
+        console.warn(`[BASELINES] Could not read ${name}:`, error.message);
+      }
+    }
+    return entries;
+  }
+
+  return { load, save, remove, list };
+}
+
+module.exports = {
+  baselineId,
+  createFileBaselineStore
+};
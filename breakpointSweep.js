@@ -0,0 +1,354 @@
+const {
+  preparePage,
+  hideElements,
+  screenshotPage,
+  resizeIfNeeded,
+  resolveViewport,
+  normalizeCaptureOptions,
+  IMAGE_FORMATS
+} = require('./screenshotHandler');
+
+// Sweep defaults and limits
+const DEFAULT_MIN_WIDTH = 320;
+const DEFAULT_MAX_WIDTH = 1920;
+const DEFAULT_STEP = 20;
+const MIN_STEP = 5;
+const MAX_WIDTHS = 400;
+const DEFAULT_HEIGHT = 900;
+// Time for media queries, ResizeObservers and transitions to settle after a resize
+const RESIZE_SETTLE_MS = 300;
+// Screenshots are only taken at the first few failing widths to keep responses small
+const MAX_SWEEP_SCREENSHOTS = 10;
+
+/**
+ * Find layout problems at the current width. Runs in the browser.
+ * Overflow uses the same thresholds as runResponsivenessChecks (2px for page scroll,
+ * 5px for elements) and lists only the outermost overflowing elements.
+ * @returns {Array<{key: string, type: string, selector: string|null, otherSelector?: string, detail: string, box: object|null}>}
+ */
+function detectLayoutIssues() {
+  const vw = document.documentElement.clientWidth;
+  const issues = [];
+
+  function cssSelector(el) {
+    const parts = [];
+    let current = el;
+    while (current && current.nodeType === 1 && current !== document.documentElement) {
+      if (current.id && /^[A-Za-z][\w-]*$/.test(current.id)) {
+        parts.unshift(`#${current.id}`);
+        break;
+      }
+      let part = current.tagName.toLowerCase();
+      const parent = current.parentElement;
+      if (parent) {
+        const sameTag = Array.from(parent.children).filter(c => c.tagName === current.tagName);
+        if (sameTag.length > 1) part += `:nth-of-type(${sameTag.indexOf(current) + 1})`;
+      }
+      parts.unshift(part);
+      current = parent;
+    }
+    return parts.join(' > ');
+  }
+
+  function pageBox(rect) {
+    return {
+      x: Math.round(rect.left + window.scrollX),
+      y: Math.round(rect.top + window.scrollY),
+      width: Math.round(rect.width),
+      height: Math.round(rect.height)
+    };
+  }
+
+  function isShown(el) {
+    const rect = el.getBoundingClientRect();
+    if (rect.width === 0 || rect.height === 0) return false;
+    const style = getComputedStyle(el);
+    return style.display !== 'none' && style.visibility !== 'hidden' && parseFloat(style.opacity) > 0;
+  }
+
+  // 1. Page-level horizontal scroll
+  const scrollWidth = document.body.scrollWidth;
+  if (scrollWidth > vw + 2) {
+    issues.push({ key: 'horizontal-scroll', type: 'horizontal-scroll', selector: null, detail: `Content ${scrollWidth}px wide in a ${vw}px viewport`, box: null });
+  }
+
+  // 2. Outermost elements extending past the viewport
+  const overflowing = new Set();
+  const skipTags = new Set(['SCRIPT', 'STYLE', 'META', 'LINK', 'HEAD', 'BR', 'HR']);
+  document.querySelectorAll('body *').forEach(el => {
+    if (skipTags.has(el.tagName)) return;
+    const rect = el.getBoundingClientRect();
+    if (rect.width > 0 && rect.height > 0 && rect.right > vw + 5) {
+      overflowing.add(el);
+      if (!overflowing.has(el.parentElement)) {
+        const selector = cssSelector(el);
+        issues.push({ key: `overflow|${selector}`, type: 'overflow', selector, detail: `Extends ${Math.round(rect.right - vw)}px past the viewport`, box: pageBox(rect) });
+      }
+    }
+  });
+
+  // 3. Content elements overlapping each other (positioned overlays are intentional and skipped)
+  const contentSelector = 'a, button, img, h1, h2, h3, h4, h5, h6, p, li, label, input, select, textarea, [role="button"]';
+  const inFlow = el => !['absolute', 'fixed'].includes(getComputedStyle(el).position);
+  const overlapPairs = (elements) => {
+    const rects = elements.map(el => ({ el, rect: el.getBoundingClientRect() }));
+    for (let i = 0; i < rects.length; i++) {
+      for (let j = i + 1; j < rects.length; j++) {
+        const a = rects[i];
+        const b = rects[j];
+        if (a.el.contains(b.el) || b.el.contains(a.el)) continue;
+        const overlapWidth = Math.min(a.rect.right, b.rect.right) - Math.max(a.rect.left, b.rect.left);
+        const overlapHeight = Math.min(a.rect.bottom, b.rect.bottom) - Math.max(a.rect.top, b.rect.top);
+        if (overlapWidth <= 2 || overlapHeight <= 2) continue;
+        const smallerArea = Math.min(a.rect.width * a.rect.height, b.rect.width * b.rect.height);
+        if (overlapWidth * overlapHeight < smallerArea * 0.25) continue;
+        const selectors = [cssSelector(a.el), cssSelector(b.el)].sort();
+        const key = `overlap|${selectors.join('|')}`;
+        if (issues.some(issue => issue.key === key)) continue;
+        issues.push({
+          key,
+          type: 'overlap',
+          selector: selectors[0],
+          otherSelector: selectors[1],
+          detail: `Elements overlap by ${Math.round(overlapWidth)}x${Math.round(overlapHeight)}px`,
+          box: pageBox({
+            left: Math.min(a.rect.left, b.rect.left),
+            top: Math.min(a.rect.top, b.rect.top),
+            width: Math.max(a.rect.right, b.rect.right) - Math.min(a.rect.left, b.rect.left),
+            height: Math.max(a.rect.bottom, b.rect.bottom) - Math.min(a.rect.top, b.rect.top)
+          })
+        });
+      }
+    }
+  };
+
+  // Header content is compared across the whole header (logo vs. nav collisions)...
+  document.querySelectorAll('header, [role="banner"]').forEach(header => {
+    overlapPairs(Array.from(header.querySelectorAll(contentSelector)).filter(el => isShown(el) && inFlow(el)).slice(0, 60));
+  });
+  // ...everything else only against its siblings
+  const parents = new Set();
+  document.querySelectorAll(contentSelector).forEach(el => {
+    if (el.parentElement && !el.closest('header, [role="banner"]')) parents.add(el.parentElement);
+  });
+  parents.forEach(parent => {
+    const siblings = Array.from(parent.children).filter(el => el.matches(contentSelector) && isShown(el) && inFlow(el));
+    if (siblings.length > 1) overlapPairs(siblings.slice(0, 50));
+  });
+
+  // 4. Horizontal navigation menus wrapping onto a second row
+  document.querySelectorAll('nav ul, nav > div, [role="menubar"], header ul').forEach(container => {
+    if (!isShown(container)) return;
+    const style = getComputedStyle(container);
+    const items = Array.from(container.children).filter(isShown);
+    if (items.length < 2) return;
+    const horizontal = (style.display.includes('flex') && style.flexDirection.startsWith('row'))
+      || items.every(item => {
+        const itemStyle = getComputedStyle(item);
+        return itemStyle.display.startsWith('inline') || itemStyle.float !== 'none';
+      });
+    if (!horizontal) return;
+    // A new row starts when an item's top is more than 10px below the current row's top
+    const tops = items.map(item => item.getBoundingClientRect().top).sort((a, b) => a - b);
+    let rows = 1;
+    let rowTop = tops[0];
+    for (const top of tops) {
+      if (top - rowTop > 10) {
+        rows++;
+        rowTop = top;
+      }
+    }
+    if (rows > 1) {
+      const selector = cssSelector(container);
+      issues.push({ key: `nav-wrap|${selector}`, type: 'nav-wrap', selector, detail: `${items.length} menu items wrap onto ${rows} rows`, box: pageBox(container.getBoundingClientRect()) });
+    }
+  });
+
+  return issues;
+}
+
+/**
+ * Validate sweep options and list the widths to check
+ * @param {Object} options - See runBreakpointSweep
+ * @returns {{minWidth: number, maxWidth: number, step: number, height: number, widths: number[], resolved: Object}}
+ * @throws {Error} For invalid ranges, steps or viewports
+ */
+function planSweep(options = {}) {
+  const minWidth = parseInt(options.minWidth, 10) || DEFAULT_MIN_WIDTH;
+  const maxWidth = parseInt(options.maxWidth, 10) || DEFAULT_MAX_WIDTH;
+  const step = Math.max(MIN_STEP, parseInt(options.step, 10) || DEFAULT_STEP);
+  const height = parseInt(options.height, 10) || DEFAULT_HEIGHT;
+
+  if (minWidth > maxWidth) {
+    throw new Error('"minWidth" must not be larger than "maxWidth"');
+  }
+  // Both ends must be valid viewport sizes
+  resolveViewport({ width: minWidth, height });
+  resolveViewport({ width: maxWidth, height });
+
+  const widths = [];
+  for (let width = minWidth; width < maxWidth; width += step) widths.push(width);
+  widths.push(maxWidth);
+  if (widths.length > MAX_WIDTHS) {
+    throw new Error(`Sweep would check ${widths.length} widths; use a larger step (max ${MAX_WIDTHS} widths)`);
+  }
+
+  // Keep the device's user agent, scale factor and touch/mobile flags; only the size changes
+  const base = resolveViewport(options.viewport || 'desktop');
+  const resolved = {
+    ...base,
+    width: minWidth,
+    height,
+    contextOptions: { ...base.contextOptions, viewport: { width: minWidth, height } }
+  };
+
+  return { minWidth, maxWidth, step, height, widths, resolved };
+}
+
+/**
+ * Resize one loaded page across a width range and report where layouts break.
+ * At each width the page is checked for horizontal scroll, overflowing elements,
+ * overlapping content and wrapping navigation. An issue's range is the run of widths
+ * where it is present; a screenshot is taken at each width where new issues appear.
+ * @param {string} url - The URL to sweep
+ * @param {Object} options
+ * @param {number} options.minWidth - Narrowest width (default: 320)
+ * @param {number} options.maxWidth - Widest width (default: 1920)
+ * @param {number} options.step - Width increment (default: 20, min 5)
+ * @param {number} options.height - Viewport height (default: 900)
+ * @param {string|Object} options.viewport - Device or viewport whose user agent, scale factor and
+ *   touch/mobile flags are used (default: desktop); its width and height are overridden
+ * @param {boolean} options.screenshots - Capture the page at first-failing widths (default: true)
+ * @param {boolean} options.fullPage - Full-page screenshots (default: true)
+ * @param {number} options.quality - JPEG/WebP quality 0-100 (default: 70)
+ * @param {Object} options.capture - hideSelectors, maskSelectors, popup and format options (see normalizeCaptureOptions)
+ * @returns {Promise<Object>} Sweep result with status PASS | FAIL | ERROR
+ */
+async function runBreakpointSweep(url, options = {}) {
+  const { minWidth, maxWidth, step, height, widths, resolved } = planSweep(options);
+  const captureOptions = normalizeCaptureOptions(options.capture || {});
+  const quality = Math.min(100, Math.max(0, parseInt(options.quality, 10) || 70));
+  const takeScreenshots = options.screenshots !== false;
+
+  let release;
+  try {
+    console.log(`[BREAKPOINTS] Sweeping ${url} from ${minWidth}px to ${maxWidth}px in ${step}px steps (${widths.length} widths)`);
+    const prepared = await preparePage(url, resolved, { ...captureOptions.popups, quality });
+    release = prepared.release;
+    const page = prepared.page;
+    await hideElements(page, captureOptions.hideSelectors);
+
+    const open = new Map(); // key -> issue currently present, with fromWidth
+    const issueRanges = [];
+    const timeline = [];
+    const breakpoints = [];
+    let previousWidth = null;
+
+    for (const width of widths) {
+      await page.setViewportSize({ width, height });
+      await page.waitForTimeout(RESIZE_SETTLE_MS);
+      const found = await page.evaluate(detectLayoutIssues);
+      const foundKeys = new Set(found.map(issue => issue.key));
+
+      // Close ranges of issues that disappeared at this width
+      for (const [key, issue] of open) {
+        if (!foundKeys.has(key)) {
+          issueRanges.push({ ...issue, toWidth: previousWidth });
+          open.delete(key);
+        }
+      }
+
+      const newIssues = found.filter(issue => !open.has(issue.key));
+      for (const issue of newIssues) {
+        open.set(issue.key, { type: issue.type, selector: issue.selector, detail: issue.detail, box: issue.box, fromWidth: width });
+      }
+
+      timeline.push({ width, issueCount: found.length, newIssueCount: newIssues.length });
+
+      if (newIssues.length > 0) {
+        const breakpoint = {
+          width,
+          newIssues: newIssues.map(({ key, ...issue }) => issue),
+          screenshot: null,
+          mimeType: null
+        };
+        if (takeScreenshots && breakpoints.filter(b => b.screenshot).length < MAX_SWEEP_SCREENSHOTS) {
+          const raw = await screenshotPage(page, { ...captureOptions, tile: false }, quality, options.fullPage !== false);
+          const finalBuffer = await resizeIfNeeded(raw, quality, captureOptions.format);
+          breakpoint.screenshot = Buffer.isBuffer(finalBuffer) ? finalBuffer : Buffer.from(finalBuffer);
+          breakpoint.mimeType = IMAGE_FORMATS[captureOptions.format];
+        }
+        breakpoints.push(breakpoint);
+      }
+      previousWidth = width;
+    }
+
+    for (const issue of open.values()) {
+      issueRanges.push({ ...issue, toWidth: previousWidth });
+    }
+    issueRanges.sort((a, b) => a.fromWidth - b.fromWidth || a.type.localeCompare(b.type));
+
+    await release();
+    release = null;
+
+    // Merge consecutive failing widths into ranges
+    const failingRanges = [];
+    let current = null;
+    for (const entry of timeline) {
+      if (entry.issueCount === 0) {
+        current = null;
+      } else if (current) {
+        current.toWidth = entry.width;
+        current.maxIssueCount = Math.max(current.maxIssueCount, entry.issueCount);
+      } else {
+        current = { fromWidth: entry.width, toWidth: entry.width, maxIssueCount: entry.issueCount };
+        failingRanges.push(current);
+      }
+    }
+
+    const status = issueRanges.length > 0 ? 'FAIL' : 'PASS';
+    const issue = status === 'FAIL'
+      ? `Layout issues at ${failingRanges.map(r => r.fromWidth === r.toWidth ? `${r.fromWidth}px` : `${r.fromWidth}-${r.toWidth}px`).join(', ')}`
+      : null;
+
+    console.log(`[BREAKPOINTS] ${status} for ${url}: ${issueRanges.length} issue(s), ${breakpoints.length} breakpoint(s)`);
+
+    return {
+      status,
+      issue,
+      url,
+      minWidth,
+      maxWidth,
+      step,
+      height,
+      widthsChecked: widths.length,
+      failingRanges,
+      issues: issueRanges,
+      breakpoints,
+      timeline
+    };
+  } catch (error) {
+    console.error(`[BREAKPOINTS] Sweep failed for ${url}:`, error.message);
+    if (release) await release();
+    return {
+      status: 'ERROR',
+      issue: `Breakpoint sweep failed: ${error.message}`,
+      url,
+      minWidth,
+      maxWidth,
+      step,
+      height,
+      widthsChecked: 0,
+      failingRanges: [],
+      issues: [],
+      breakpoints: [],
+      timeline: []
+    };
+  }
+}
+
+module.exports = {
+  runBreakpointSweep,
+  planSweep,
+  detectLayoutIssues
+};
@@ -0,0 +1,227 @@
+const { chromium } = require('playwright');
+
+// No --single-process/--no-zygote: with many contexts open at once a crashed renderer
+// would take down the whole shared browser
+const BROWSER_ARGS = [
+  '--no-sandbox',
+  '--disable-setuid-sandbox',
+  '--disable-dev-shm-usage',    // Don't use /dev/shm (limited on containers)
+  '--disable-gpu',               // Disable GPU (not needed)
+  '--disable-extensions',        // Disable extensions
+  '--disable-background-networking',
+  '--disable-default-apps',
+  '--disable-sync',
+  '--disable-translate',
+  '--metrics-recording-only',
+  '--mute-audio',
+  '--no-first-run',
+  '--safebrowsing-disable-auto-update'
+];
+
+const DEFAULT_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+// Global cap on simultaneously open pages across all checkers
+const MAX_OPEN_PAGES = parseInt(process.env.MAX_OPEN_PAGES, 10) || 5;
+// Launch a fresh browser after this many pages to keep memory from creeping up
+const BROWSER_RECYCLE_AFTER = parseInt(process.env.BROWSER_RECYCLE_AFTER, 10) || 50;
+
+// The browser currently handing out new contexts.
+// Shape: { ready: Promise<Browser>, browser, pagesServed, openContexts, retired }
+let current = null;
+
+// Page slot semaphore
+let openPages = 0;
+const waiters = [];
+
+function acquireSlot() {
+  if (openPages < MAX_OPEN_PAGES) {
+    openPages++;
+    return Promise.resolve();
+  }
+  return new Promise(resolve => waiters.push(resolve));
+}
+
+function releaseSlot() {
+  // Hand the slot straight to the next waiter so the count stays accurate
+  const next = waiters.shift();
+  if (next) {
+    next();
+  } else {
+    openPages--;
+  }
+}
+
+/**
+ * Close a browser entry, ignoring errors (it may already have crashed)
+ */
+async function closeEntry(entry) {
+  if (!entry.browser) return;
+  try {
+    await entry.browser.close();
+    console.log(`[BROWSER-POOL] Closed browser after ${entry.pagesServed} page(s)`);
+  } catch {
+    // Already closed or crashed
+  }
+}
+
+/**
+ * Stop handing out contexts from this browser. It is closed once its
+ * last open context is released.
+ */
+function retireEntry(entry) {
+  entry.retired = true;
+  if (current === entry) current = null;
+  if (entry.openContexts === 0) {
+    closeEntry(entry);
+  }
+}
+
+function launchEntry() {
+  const entry = { ready: null, browser: null, pagesServed: 0, openContexts: 0, retired: false };
+
+  console.log('[BROWSER-POOL] Launching browser');
+  entry.ready = chromium.launch({ headless: true, args: BROWSER_ARGS }).then(browser => {
+    entry.browser = browser;
+    browser.on('disconnected', () => {
+      if (!entry.retired) {
+        console.warn(`[BROWSER-POOL] Browser disconnected unexpectedly after ${entry.pagesServed} page(s)`);
+      }
+      entry.retired = true;
+      if (current === entry) current = null;
+    });
+    return browser;
+  });
+
+  // A failed launch must not poison the pool for later callers
+  entry.ready.catch(() => {
+    entry.retired = true;
+    if (current === entry) current = null;
+  });
+
+  return entry;
+}
+
+async function getBrowserEntry() {
+  if (!current || current.retired || (current.browser && !current.browser.isConnected())) {
+    current = launchEntry();
+  }
+  const entry = current;
+  await entry.ready;
+  return entry;
+}
+
+/**
+ * Acquire an isolated page from the shared browser.
+ * Waits for a free slot when MAX_OPEN_PAGES pages are already open.
+ * The caller must call release() when done; it closes the context and frees the slot.
+ * @param {Object} contextOptions - Options for browser.newContext (viewport, userAgent, ...)
+ * @returns {Promise<{page: import('playwright').Page, context: import('playwright').BrowserContext, release: Function}>}
+ */
+async function acquirePage(contextOptions = {}) {
+  await acquireSlot();
+
+  let entry = null;
+  let context = null;
+
+  try {
+    entry = await getBrowserEntry();
+    entry.openContexts++;
+    entry.pagesServed++;
+    if (entry.pagesServed >= BROWSER_RECYCLE_AFTER) {
+      console.log(`[BROWSER-POOL] Recycling browser after ${entry.pagesServed} page(s)`);
+      retireEntry(entry);
+    }
+
+    context = await entry.browser.newContext({
+      userAgent: DEFAULT_USER_AGENT,
+      ...contextOptions
+    });
+    const page = await context.newPage();
+
+    const owner = entry;
+    let released = false;
+    const release = async () => {
+      if (released) return;
+      released = true;
+      try {
+        await context.close();
+      } catch {
+        // Context is gone if the browser crashed
+      }
+      owner.openContexts--;
+      if (owner.retired && owner.openContexts === 0) {
+        await closeEntry(owner);
+      }
+      releaseSlot();
+    };
+
+    return { page, context, release };
+  } catch (error) {
+    if (context) {
+      await context.close().catch(() => {});
+    }
+    if (entry) {
+      entry.openContexts--;
+      // Treat a failure to open a context as a crashed browser
+      if (!entry.browser || !entry.browser.isConnected()) {
+        retireEntry(entry);
+      }
+    }
+    releaseSlot();
+    throw error;
+  }
+}
+
+/**
+ * Run a function with a pooled page and always release it afterwards
+ * @param {Object} contextOptions - Options for browser.newContext
+ * @param {(page: import('playwright').Page, context: import('playwright').BrowserContext) => Promise<*>} fn
+ * @returns {Promise<*>} Whatever fn returns
+ */
+async function withPage(contextOptions, fn) {
+  const { page, context, release } = await acquirePage(contextOptions);
+  try {
+    return await fn(page, context);
+  } finally {
+    await release();
+  }
+}
+
+/**
+ * Close the shared browser (used on shutdown)
+ */
+async function closeBrowserPool() {
+  const entry = current;
+  current = null;
+  if (!entry) return;
+  entry.retired = true;
+  try {
+    await entry.ready;
+  } catch {
+    return;
+  }
+  await closeEntry(entry);
+}
+
+/**
+ * Snapshot of pool usage for health/status reporting
+ */
+function getPoolStats() {
+  return {
+    openPages,
+    queuedPages: waiters.length,
+    maxOpenPages: MAX_OPEN_PAGES,
+    recycleAfter: BROWSER_RECYCLE_AFTER,
+    browserConnected: !!(current && current.browser && current.browser.isConnected()),
+    pagesServedByCurrentBrowser: current ? current.pagesServed : 0
+  };
+}
+
+module.exports = {
+  acquirePage,
+  withPage,
+  closeBrowserPool,
+  getPoolStats,
+  BROWSER_ARGS,
+  DEFAULT_USER_AGENT
+};
@@ -0,0 +1,325 @@
+const dns = require('dns');
+
+// Query parameters each scheme understands (RFC 6068 for mailto, RFC 5724 for sms)
+const ALLOWED_PARAMS = {
+  mailto: ['to', 'cc', 'bcc', 'subject', 'body'],
+  sms: ['body']
+};
+
+// Practical RFC 5322 address check: dot-atom local part, hostname with a TLD
+const EMAIL_PATTERN = /^[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+(\.[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+)*@([A-Za-z0-9]([A-Za-z0-9-]{0,61}[A-Za-z0-9])?\.)+[A-Za-z]{2,63}$/;
+
+/**
+ * Default MX lookup: resolves to the domain's MX records, or [] when it has none
+ * @param {string} domain - Email domain
+ * @returns {Promise<Array<{exchange: string, priority: number}>>}
+ */
+async function defaultMxResolver(domain) {
+  try {
+    return await dns.promises.resolveMx(domain);
+  } catch (error) {
+    if (error.code === 'ENODATA' || error.code === 'ENOTFOUND') return [];
+    throw error;
+  }
+}
+
+/**
+ * Decode a percent-encoded component, returning null when it is malformed
+ */
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Validate one email address
+ * @param {string} address - Decoded address
+ * @returns {string|null} Problem description, or null when valid
+ */
+function validateEmailAddress(address) {
+  if (!address) return 'Email address is empty';
+  if (/\s/.test(address)) return `"${address}" contains whitespace`;
+  if ((address.match(/@/g) || []).length !== 1) return `"${address}" must contain exactly one @`;
+  const [local, domain] = address.split('@');
+  if (local.length > 64) return `"${address}" has a local part longer than 64 characters`;
+  if (/\.\./.test(address)) return `"${address}" contains consecutive dots`;
+  if (!domain.includes('.')) return `"${address}" has no top-level domain`;
+  if (!EMAIL_PATTERN.test(address)) return `"${address}" is not a valid email address`;
+  return null;
+}
+
+/**
+ * Validate a phone number from a tel: or sms: href (RFC 3966 with E.164 global numbers)
+ * @param {string} number - Decoded number, without parameters
+ * @returns {{digits: string, problems: Array<{code: string, severity: string, message: string}>}}
+ */
+function validatePhoneNumber(number) {
+  const problems = [];
+  const digits = number.replace(/\D/g, '');
+
+  if (!number) {
+    problems.push({ code: 'empty_number', severity: 'error', message: 'Phone link has no number' });
+    return { digits, problems };
+  }
+  if (/[A-Za-z]/.test(number)) {
+    problems.push({ code: 'letters_in_number', severity: 'error', message: `"${number}" contains letters (use digits, not vanity words)` });
+  }
+  if (/\s/.test(number)) {
+    problems.push({ code: 'spaces_in_number', severity: 'warning', message: `"${number}" contains spaces; use digits with optional - . ( ) separators` });
+  }
+  if (/[^\d+\-.()\s A-Za-z]/.test(number) || number.indexOf('+') > 0) {
+    problems.push({ code: 'invalid_characters', severity: 'error', message: `"${number}" contains characters not allowed in a phone number` });
+  }
+  if (!number.startsWith('+')) {
+    problems.push({ code: 'missing_country_code', severity: 'warning', message: `"${number}" has no +country code, so it only dials correctly from inside the country` });
+  }
+  // E.164 allows at most 15 digits including the country code (vanity numbers cannot be counted)
+  if (/[A-Za-z]/.test(number)) {
+    return { digits, problems };
+  }
+  if (digits.length > 15) {
+    problems.push({ code: 'number_too_long', severity: 'error', message: `"${number}" has ${digits.length} digits (E.164 allows at most 15)` });
+  } else if (digits.length < 7) {
+    problems.push({ code: 'number_too_short', severity: 'error', message: `"${number}" has only ${digits.length} digits` });
+  }
+
+  return { digits, problems };
+}
+
+/**
+ * Parse a query string of a contact href into a lower-cased param list
+ */
+function parseParams(query, scheme, problems) {
+  const params = {};
+  if (!query) return params;
+  for (const pair of query.split('&')) {
+    if (!pair) continue;
+    const [rawKey, ...rest] = pair.split('=');
+    const key = rawKey.toLowerCase();
+    const value = safeDecode(rest.join('='));
+    if (value === null) {
+      problems.push({ code: 'malformed_encoding', severity: 'error', message: `"${key}" parameter has malformed percent-encoding` });
+      continue;
+    }
+    if (!ALLOWED_PARAMS[scheme].includes(key)) {
+      problems.push({ code: 'unknown_parameter', severity: 'warning', message: `Unknown ${scheme}: parameter "${key}"` });
+    }
+    params[key] = value;
+  }
+  return params;
+}
+
+/**
+ * Parse and validate a mailto:, tel: or sms: href
+ * @param {string} href - Link href
+ * @returns {{scheme: string, addresses: string[], number: string|null, digits: string|null, params: Object, problems: Array}|null}
+ *   Null when the href is not a contact link
+ */
+function parseContactLink(href) {
+  const match = (href || '').match(/^(mailto|tel|sms):(.*)$/is);
+  if (!match) return null;
+
+  const scheme = match[1].toLowerCase();
+  const rest = match[2];
+  const problems = [];
+  const queryIndex = rest.indexOf('?');
+  const target = queryIndex === -1 ? rest : rest.substring(0, queryIndex);
+  const query = queryIndex === -1 ? '' : rest.substring(queryIndex + 1);
+
+  if (scheme === 'mailto') {
+    const params = parseParams(query, scheme, problems);
+    const decoded = safeDecode(target);
+    if (decoded === null) {
+      problems.push({ code: 'malformed_encoding', severity: 'error', message: 'Email address has malformed percent-encoding' });
+    }
+    const addresses = [decoded || '', params.to || '', params.cc || '', params.bcc || '']
+      .join(',')
+      .split(',')
+      .map(address => address.trim())
+      .filter(Boolean);
+
+    // mailto:?subject=...&body=... is a valid "share by email" link: the visitor picks the recipient
+    if (addresses.length === 0 && !params.subject && !params.body) {
+      problems.push({ code: 'no_recipient', severity: 'error', message: 'mailto: link has no recipient' });
+    }
+    for (const address of addresses) {
+      const problem = validateEmailAddress(address);
+      if (problem) problems.push({ code: 'invalid_email', severity: 'error', message: problem });
+    }
+
+    return { scheme, addresses, number: null, digits: null, params, problems };
+  }
+
+  // tel: may carry ;ext= / ;isub= parameters; iOS-style sms: links use & instead of ?
+  let number = target;
+  let smsQuery = query;
+  if (scheme === 'sms' && queryIndex === -1 && rest.includes('&')) {
+    number = rest.substring(0, rest.indexOf('&'));
+    smsQuery = rest.substring(rest.indexOf('&') + 1);
+  }
+  number = number.split(';')[0];
+  const decodedNumber = safeDecode(number);
+  if (decodedNumber === null) {
+    problems.push({ code: 'malformed_encoding', severity: 'error', message: 'Phone number has malformed percent-encoding' });
+  }
+
+  const params = scheme === 'sms' ? parseParams(smsQuery, scheme, problems) : {};
+  if (scheme === 'tel' && query) {
+    problems.push({ code: 'unknown_parameter', severity: 'warning', message: 'tel: links do not support ?query parameters' });
+  }
+
+  const phone = validatePhoneNumber((decodedNumber ?? number).trim());
+  problems.push(...phone.problems);
+
+  return { scheme, addresses: [], number: decodedNumber ?? number, digits: phone.digits, params, problems };
+}
+
+/**
+ * Compare the visible link text with the href when the text is itself an email or phone number
+ * @param {string} text - Visible link text
+ * @param {Object} parsed - From parseContactLink
+ * @returns {string|null} Mismatch description, or null
+ */
+function findTextMismatch(text, parsed) {
+  const visible = (text || '').trim();
+  if (!visible) return null;
+
+  const emailInText = visible.match(/[^\s@<>()]+@[^\s@<>()]+\.[A-Za-z]{2,}/);
+  if (emailInText && parsed.scheme === 'mailto') {
+    const shown = emailInText[0].toLowerCase();
+    if (!parsed.addresses.some(address => address.toLowerCase() === shown)) {
+      return `Link text shows ${emailInText[0]} but the link emails ${parsed.addresses.join(', ') || 'nobody'}`;
+    }
+    return null;
+  }
+
+  // Treat the text as a phone number when it is mostly digits and separators
+  const phoneInText = visible.match(/\+?\(?\d[\d\s().-]{5,}\d/);
+  if (phoneInText && parsed.digits !== null) {
+    const shownDigits = phoneInText[0].replace(/\D/g, '');
+    // Text usually omits the country code ("(555) 123-4567" for +15551234567) or adds a trunk 0
+    const hrefDigits = parsed.digits;
+    const matches = hrefDigits === shownDigits ||
+      hrefDigits.endsWith(shownDigits) ||
+      hrefDigits.endsWith(shownDigits.replace(/^0+/, ''));
+    if (!matches) {
+      return `Link text shows ${phoneInText[0].trim()} but the link dials ${parsed.number}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Validate every mailto:, tel: and sms: link on a page
+ * @param {Array<{href: string, text: string, selector: string, region: string}>} links - From collectLinks
+ * @param {Object} options
+ * @param {boolean} options.checkMx - Look up MX records for email domains (default: false)
+ * @param {(domain: string) => Promise<Array>} options.mxResolver - MX lookup (default: DNS resolveMx)
+ * @param {Object} options.linkCache - Run-wide cache so each domain is resolved once
+ * @param {number} options.detailLimit - Max findings listed (default: 10)
+ * @returns {Promise<Object>} Contact link check result with its own status
+ */
+async function checkContactLinks(links, options = {}) {
+  const detailLimit = options.detailLimit || 10;
+  const mxResolver = options.mxResolver || defaultMxResolver;
+  const counts = { mailto: 0, tel: 0, sms: 0 };
+  const findings = [];
+  const seen = new Set();
+  const mxLookups = new Map(); // domain -> Promise<{hasMx, error}>
+
+  const lookupMx = (domain) => {
+    const run = () => Promise.resolve()
+      .then(() => mxResolver(domain))
+      .then(records => ({ hasMx: Array.isArray(records) && records.length > 0, error: null }))
+      .catch(error => ({ hasMx: null, error: error.message }));
+    if (!mxLookups.has(domain)) {
+      mxLookups.set(domain, options.linkCache ? options.linkCache.getOrCheck(`mx:${domain}`, run) : run());
+    }
+    return mxLookups.get(domain);
+  };
+
+  for (const link of links) {
+    const key = `${link.href}\n${link.text}`;
+    if (seen.has(key)) continue;
+
+    const parsed = parseContactLink(link.href);
+    if (!parsed) continue;
+    seen.add(key);
+    counts[parsed.scheme]++;
+
+    const problems = [...parsed.problems];
+    const mismatch = findTextMismatch(link.text, parsed);
+    if (mismatch) {
+      problems.push({ code: 'text_mismatch', severity: 'error', message: mismatch });
+    }
+
+    if (options.checkMx && parsed.scheme === 'mailto') {
+      const domains = [...new Set(parsed.addresses
+        .filter(address => !validateEmailAddress(address))
+        .map(address => address.split('@')[1].toLowerCase()))];
+      for (const domain of domains) {
+        const mx = await lookupMx(domain);
+        if (mx.hasMx === false) {
+          problems.push({ code: 'no_mx_record', severity: 'error', message: `${domain} has no MX records, so email to it bounces` });
+        } else if (mx.error) {
+          problems.push({ code: 'mx_lookup_failed', severity: 'warning', message: `Could not look up MX records for ${domain}: ${mx.error}` });
+        }
+      }
+    }
+
+    if (problems.length > 0) {
+      findings.push({
+        href: link.href,
+        scheme: parsed.scheme,
+        text: (link.text || '').substring(0, 80),
+        selector: link.selector || null,
+        region: link.region || null,
+        severity: problems.some(problem => problem.severity === 'error') ? 'error' : 'warning',
+        problems
+      });
+    }
+  }
+
+  const total = counts.mailto + counts.tel + counts.sms;
+  const invalidCount = findings.filter(finding => finding.severity === 'error').length;
+  const warningCount = findings.length - invalidCount;
+  const mismatchCount = findings.filter(finding => finding.problems.some(problem => problem.code === 'text_mismatch')).length;
+
+  let status = 'PASS';
+  if (total === 0) status = 'SKIPPED';
+  else if (invalidCount > 0) status = 'FAIL';
+  else if (warningCount > 0) status = 'WARNING';
+
+  const issues = [];
+  if (invalidCount > 0) {
+    issues.push(`${invalidCount} invalid contact link${invalidCount !== 1 ? 's' : ''} (mailto:/tel:/sms:)`);
+  }
+  if (warningCount > 0) {
+    issues.push(`${warningCount} contact link${warningCount !== 1 ? 's have' : ' has'} warnings`);
+  }
+
+  return {
+    status,
+    issue: issues.length > 0 ? issues.join('; ') : null,
+    total,
+    counts,
+    invalidCount,
+    warningCount,
+    mismatchCount,
+    mxChecked: !!options.checkMx,
+    findings: findings.slice(0, detailLimit)
+  };
+}
+
+module.exports = {
+  checkContactLinks,
+  parseContactLink,
+  validateEmailAddress,
+  validatePhoneNumber,
+  findTextMismatch,
+  defaultMxResolver
+};
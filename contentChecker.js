@@ -1,4 +1,4 @@
-const { chromium } = require('playwright');
+const { acquirePage } = require('./browserPool');
 
 /**
  * Fetch content from a Google Doc link
@@ -68,23 +68,13 @@ async function fetchGoogleDocContent(docLink) {
   // ========================================================================
   // FALLBACK: Use Playwright for published URLs or when HTTP fetch fails
   // ========================================================================
-  let browser;
+  let release;
   try {
-    browser = await chromium.launch({
-      headless: true,
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-gpu'
-      ]
-    });
-
-    const context = await browser.newContext({
+    const acquired = await acquirePage({
       userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
     });
-
-    const page = await context.newPage();
+    release = acquired.release;
+    const page = acquired.page;
 
     // If it's already a published URL, use it directly (PRIORITY)
     if (isPublishedUrl) {
@@ -106,14 +96,14 @@ async function fetchGoogleDocContent(docLink) {
 
         if (publishedContent && publishedContent.trim().length > 50) {
           console.log(`[CONTENT] Successfully fetched from published URL (${publishedContent.length} chars)`);
-          await browser.close();
+          await release();
           return publishedContent.trim();
         }
       } catch (pubError) {
         console.log(`[CONTENT] Published URL fetch failed: ${pubError.message}`);
       }
       
-      await browser.close();
+      await release();
       return '';
     }
 
@@ -137,7 +127,7 @@ async function fetchGoogleDocContent(docLink) {
 
       if (publishedContent && publishedContent.trim().length > 10) {
         console.log(`[CONTENT] Successfully fetched from published view (${publishedContent.length} chars)`);
-        await browser.close();
+        await release();
         return publishedContent.trim();
       }
     } catch (pubError) {
@@ -184,20 +174,20 @@ async function fetchGoogleDocContent(docLink) {
 
       if (viewContent && viewContent.trim().length > 10) {
         console.log(`[CONTENT] Successfully fetched from view URL (${viewContent.length} chars)`);
-        await browser.close();
+        await release();
         return viewContent.trim();
       }
     } catch (viewError) {
       console.log(`[CONTENT] View URL failed: ${viewError.message}`);
     }
 
-    await browser.close();
+    await release();
     console.log(`[CONTENT] Could not fetch content from Google Doc`);
     return '';
 
   } catch (error) {
     console.error(`[CONTENT] Error fetching Google Doc:`, error.message);
-    if (browser) await browser.close();
+    if (release) await release();
     return '';
   }
 }
@@ -382,37 +372,16 @@ async function checkPageContent(pageUrl, expectedContent, contentDocLink = null)
   // Use the fetched/provided content
   const expectedContentFinal = contentToCompare;
 
-  let browser;
+  let release;
   
   try {
     console.log(`[CONTENT] Checking content for: ${pageUrl}`);
     
-    browser = await chromium.launch({
-      headless: true,
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-gpu',
-        '--single-process',
-        '--no-zygote',
-        '--disable-extensions',
-        '--disable-background-networking',
-        '--disable-default-apps',
-        '--disable-sync',
-        '--disable-translate',
-        '--metrics-recording-only',
-        '--mute-audio',
-        '--no-first-run',
-        '--safebrowsing-disable-auto-update'
-      ]
-    });
-    
-    const context = await browser.newContext({
+    const acquired = await acquirePage({
       userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
     });
-    
-    const page = await context.newPage();
+    release = acquired.release;
+    const page = acquired.page;
     
     const navTimeout = parseInt(process.env.REQUEST_TIMEOUT, 10) || 180000;
     await page.goto(pageUrl, {
@@ -463,7 +432,7 @@ async function checkPageContent(pageUrl, expectedContent, contentDocLink = null)
       return clone.textContent || '';
     });
     
-    await browser.close();
+    await release();
     
     // Calculate metrics
     const similarity = calculateSimilarity(expectedContentFinal, actualContent);
@@ -527,8 +496,8 @@ async function checkPageContent(pageUrl, expectedContent, contentDocLink = null)
   } catch (error) {
     console.error(`[CONTENT] Error checking content for ${pageUrl}:`, error.message);
     
-    if (browser) {
-      await browser.close();
+    if (release) {
+      await release();
     }
     
     return {
@@ -0,0 +1,20 @@
+/**
+ * Install window.__qaDescribe(el), the short element label used in check findings
+ * (tag, id and up to three classes, e.g. "img#hero.banner.wide"). Runs in the browser.
+ * Checkers evaluate this before any page-side code that labels elements.
+ */
+function installElementDescriber() {
+  if (window.__qaDescribe) return;
+
+  window.__qaDescribe = function describe(el) {
+    let desc = el.tagName.toLowerCase();
+    if (el.id) desc += `#${el.id}`;
+    const classes = (typeof el.className === 'string' ? el.className : '').trim().split(/\s+/).filter(Boolean).slice(0, 3);
+    if (classes.length > 0) desc += '.' + classes.join('.');
+    return desc;
+  };
+}
+
+module.exports = {
+  installElementDescriber
+};
@@ -0,0 +1,329 @@
+const { acquirePage } = require('./browserPool');
+const { monitorNetwork } = require('./networkMonitor');
+const { matchesAnyPattern } = require('./urlPatterns');
+const { installElementDescriber } = require('./elementDescriber');
+
+// Managed-hosting and tunnel domains whose subdomains are staging/dev installs
+const DEV_HOSTING_DOMAINS = [
+  'wpengine.com', 'wpenginepowered.com', 'kinsta.cloud', 'pantheonsite.io', 'flywheelsites.com',
+  'cloudwaysapps.com', 'ngrok.io', 'ngrok-free.app', 'lndo.site', 'ddev.site'
+];
+
+// Subdomain labels that mark a non-production environment (staging.example.com, dev2.example.com).
+// Only applied to the project's own domains: third parties use the same labels for production
+// services (preview.redd.it, dev.visualwebsiteoptimizer.com)
+const DEV_LABEL = /^(staging|stage|stg|dev|develop|development|uat|qa|preview|test)(\d+|-.+)?$|-(staging|stage|dev|uat)$/;
+
+// Protocol-relative or absolute URL hosts inside attribute values, scripts and markup
+const URL_HOST_PATTERN = /(?:https?:)?\/\/((?:[a-z0-9-]+\.)*[a-z0-9-]+|\[[0-9a-f:]+\])(?::\d+)?(?:[/?#][^\s"'<>)\\]*)?/gi;
+
+/**
+ * Strip a leading "www." so www and apex hosts compare equal
+ */
+function bareHost(host) {
+  return (host || '').toLowerCase().replace(/^www\./, '');
+}
+
+/**
+ * Host of a URL, or null when it cannot be parsed
+ */
+function hostOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch {
+    return null;
+  }
+}
+
+// Second-level labels under country TLDs that are not registrable on their own (example.co.uk)
+const COUNTRY_SECOND_LEVELS = ['co', 'com', 'net', 'org', 'gov', 'ac', 'edu'];
+
+/**
+ * Registrable domain of a host (staging.example.co.uk -> example.co.uk), good enough to tell
+ * the project's own subdomains from third-party ones
+ * @param {string} host - Lower-case hostname
+ * @returns {string}
+ */
+function registrableDomain(host) {
+  const labels = bareHost(host).split('.');
+  const tld = labels[labels.length - 1];
+  const secondLevel = labels[labels.length - 2];
+  const keep = labels.length > 2 && tld.length === 2 && COUNTRY_SECOND_LEVELS.includes(secondLevel) ? 3 : 2;
+  return labels.slice(-keep).join('.');
+}
+
+/**
+ * Whether a host has a staging/dev-style subdomain label
+ * @param {string} host - Lower-case hostname
+ * @returns {boolean}
+ */
+function hasDevLabel(host) {
+  const labels = host.split('.');
+  const domainLabels = registrableDomain(host).split('.').length;
+  return labels.slice(0, -domainLabels).some(label => DEV_LABEL.test(label));
+}
+
+/**
+ * Classify a host that looks like a development environment, regardless of project
+ * @param {string} host - Lower-case hostname
+ * @returns {'localhost'|'ip-address'|'dev-host'|null}
+ */
+function classifyDevHost(host) {
+  if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.local') || host.endsWith('.test')) {
+    return 'localhost';
+  }
+  if (/^\d{1,3}(\.\d{1,3}){3}$/.test(host) || host.startsWith('[')) {
+    return 'ip-address';
+  }
+  if (DEV_HOSTING_DOMAINS.some(domain => host.endsWith('.' + domain))) {
+    return 'dev-host';
+  }
+  return null;
+}
+
+/**
+ * Decide whether a referenced host belongs to the wrong environment for this page
+ * @param {string} host - Referenced hostname
+ * @param {Object} context - { pageHost, pageEnvironment, stagingHost, productionHost, projectDomains,
+ *   allowHosts, devHosts }
+ * @returns {{environment: string, severity: 'error'|'warning'}|null}
+ */
+function classifyReference(host, context) {
+  if (!host) return null;
+  const bare = bareHost(host);
+  if (bare === bareHost(context.pageHost)) return null;
+  if (matchesAnyPattern(`https://${host}/`, context.allowHosts)) return null;
+
+  if (context.stagingHost && bare === context.stagingHost && context.pageEnvironment !== 'staging') {
+    return { environment: 'staging', severity: 'error' };
+  }
+  // Staging pages pointing at production bypass the site under test (they work, but test the wrong thing)
+  if (context.productionHost && bare === context.productionHost) {
+    return context.pageEnvironment === 'staging' ? { environment: 'production', severity: 'warning' } : null;
+  }
+
+  const lower = host.toLowerCase();
+  let devEnvironment = classifyDevHost(lower);
+  if (!devEnvironment && matchesAnyPattern(`https://${host}/`, context.devHosts || [])) {
+    devEnvironment = 'dev-host';
+  }
+  if (!devEnvironment && (context.projectDomains || []).includes(registrableDomain(lower)) && hasDevLabel(lower)) {
+    devEnvironment = 'dev-host';
+  }
+  return devEnvironment ? { environment: devEnvironment, severity: 'error' } : null;
+}
+
+/**
+ * Find references to the wrong environment on a loaded page: every element attribute
+ * (links, image srcs/srcsets, canonical, meta, forms, data-* attributes), inline scripts
+ * and styles, remaining markup (comments, text), and network requests made during the load.
+ * @param {import('playwright').Page} page - Loaded page (still open)
+ * @param {string} pageUrl - Final URL of the page
+ * @param {{records: Array}} network - From monitorNetwork
+ * @param {Object} options
+ * @param {string} options.stagingUrl - Project staging URL
+ * @param {string} options.productionUrl - Project production URL
+ * @param {string[]} options.allowHosts - Patterns for hosts that are never reported (see urlPatterns.js)
+ * @param {string[]} options.devHosts - Patterns for other hosts that are always reported as dev environments
+ * @param {number} options.detailLimit - Max findings listed (default: 10)
+ * @returns {Promise<Object>} Environment check result with its own status
+ */
+async function findEnvironmentLeaks(page, pageUrl, network, options = {}) {
+  const detailLimit = options.detailLimit || 10;
+  const stagingHost = options.stagingUrl ? bareHost(hostOf(options.stagingUrl)) : null;
+  const productionHost = options.productionUrl ? bareHost(hostOf(options.productionUrl)) : null;
+
+  try {
+    const pageHost = hostOf(pageUrl);
+    let pageEnvironment = 'unknown';
+    if (stagingHost && bareHost(pageHost) === stagingHost) pageEnvironment = 'staging';
+    else if (productionHost && bareHost(pageHost) === productionHost) pageEnvironment = 'production';
+
+    // staging./dev.-style subdomains are only reported within the project's own domains
+    const projectDomains = [...new Set([pageHost, stagingHost, productionHost].filter(Boolean).map(registrableDomain))];
+    const context = {
+      pageHost,
+      pageEnvironment,
+      stagingHost,
+      productionHost,
+      projectDomains,
+      allowHosts: options.allowHosts || [],
+      devHosts: options.devHosts || []
+    };
+
+    await page.evaluate(installElementDescriber);
+    const references = await page.evaluate((patternSource) => {
+      const describe = window.__qaDescribe;
+
+      function sourceFor(el, attribute) {
+        const tag = el.tagName.toLowerCase();
+        const rel = (el.getAttribute('rel') || '').toLowerCase();
+        if (attribute === 'style') return 'inline-style';
+        if (tag === 'a' && attribute === 'href') return 'link';
+        if (tag === 'link' && /\bcanonical\b/.test(rel)) return 'canonical';
+        if (tag === 'link' && /\bstylesheet\b/.test(rel)) return 'stylesheet';
+        if (tag === 'link') return 'link-tag';
+        if (tag === 'img' || (tag === 'source' && el.closest('picture'))) return 'image';
+        if (tag === 'script') return 'script';
+        if (tag === 'iframe') return 'iframe';
+        if (tag === 'form' || attribute === 'formaction') return 'form';
+        if (tag === 'meta') return 'meta';
+        if (['video', 'audio', 'source', 'track'].includes(tag)) return 'media';
+        return 'attribute';
+      }
+
+      const found = [];
+      const addMatches = (text, source, element, attribute) => {
+        const pattern = new RegExp(patternSource, 'gi');
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+          found.push({ url: match[0], host: match[1].toLowerCase(), source, element, attribute });
+        }
+      };
+
+      document.querySelectorAll('*').forEach(el => {
+        for (const attr of el.attributes) {
+          if (attr.value.includes('//')) addMatches(attr.value, sourceFor(el, attr.name), describe(el), attr.name);
+        }
+      });
+
+      // Inline scripts often hold JSON-escaped URLs (https:\/\/staging.example.com)
+      document.querySelectorAll('script:not([src])').forEach(script => {
+        addMatches((script.textContent || '').replace(/\\\//g, '/'), 'inline-script', describe(script), null);
+      });
+      document.querySelectorAll('style').forEach(style => {
+        addMatches(style.textContent || '', 'inline-style', describe(style), null);
+      });
+
+      return found;
+    }, URL_HOST_PATTERN.source);
+
+    // Anything else in the rendered markup (comments, visible text) not already attributed
+    const attributedHosts = new Set(references.map(reference => reference.host));
+    const html = await page.content();
+    for (const match of html.matchAll(new RegExp(URL_HOST_PATTERN.source, 'gi'))) {
+      const host = match[1].toLowerCase();
+      if (attributedHosts.has(host)) continue;
+      attributedHosts.add(host);
+      references.push({ url: match[0], host, source: 'html', element: null, attribute: null });
+    }
+
+    for (const record of network.records) {
+      const host = hostOf(record.url);
+      if (host) {
+        references.push({ url: record.url, host, source: 'network', element: null, attribute: null, resourceType: record.resourceType });
+      }
+    }
+
+    const findings = [];
+    const seen = new Set();
+    for (const reference of references) {
+      const verdict = classifyReference(reference.host, context);
+      if (!verdict) continue;
+      const key = `${reference.source}\n${reference.url}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      findings.push({ ...reference, ...verdict });
+    }
+
+    const counts = {};
+    for (const finding of findings) {
+      counts[finding.environment] = (counts[finding.environment] || 0) + 1;
+    }
+    const errorCount = findings.filter(finding => finding.severity === 'error').length;
+    const warningCount = findings.length - errorCount;
+
+    const issues = [];
+    if (errorCount > 0) {
+      const summary = Object.entries(counts).map(([environment, count]) => `${count} ${environment}`).join(', ');
+      issues.push(`${errorCount} reference${errorCount !== 1 ? 's' : ''} to another environment (${summary})`);
+    } else if (warningCount > 0) {
+      issues.push(`${warningCount} reference${warningCount !== 1 ? 's' : ''} to the production site from staging`);
+    }
+
+    let status = 'PASS';
+    if (errorCount > 0) status = 'FAIL';
+    else if (warningCount > 0) status = 'WARNING';
+
+    console.log(`[ENVIRONMENT] ${status} for ${pageUrl} (${pageEnvironment}): ${findings.length} reference(s) to other environments`);
+
+    return {
+      status,
+      issue: issues.length > 0 ? issues.join('; ') : null,
+      pageEnvironment,
+      stagingHost,
+      productionHost,
+      leakCount: findings.length,
+      counts,
+      findings: findings.slice(0, detailLimit)
+    };
+  } catch (error) {
+    console.warn(`[ENVIRONMENT] Check failed for ${pageUrl}:`, error.message);
+    return {
+      status: 'ERROR',
+      issue: `Environment check failed: ${error.message}`,
+      pageEnvironment: null,
+      stagingHost,
+      productionHost,
+      leakCount: 0,
+      counts: {},
+      findings: []
+    };
+  }
+}
+
+/**
+ * Load a page and check it for references to the wrong environment
+ * @param {string} pageUrl - The URL to check
+ * @param {Object} options - See findEnvironmentLeaks
+ * @returns {Promise<Object>} Environment check result
+ */
+async function checkEnvironment(pageUrl, options = {}) {
+  let release;
+
+  try {
+    const acquired = await acquirePage({
+      userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+    });
+    release = acquired.release;
+    const page = acquired.page;
+    const network = monitorNetwork(page);
+
+    const navTimeout = parseInt(process.env.REQUEST_TIMEOUT, 10) || 180000;
+    await page.goto(pageUrl, {
+      waitUntil: 'domcontentloaded',
+      timeout: navTimeout
+    });
+
+    // Wait a bit for dynamic content
+    await page.waitForTimeout(2000);
+
+    const result = await findEnvironmentLeaks(page, page.url(), network, options);
+
+    await release();
+
+    return result;
+  } catch (error) {
+    console.error(`[ENVIRONMENT] Error checking ${pageUrl}:`, error.message);
+    if (release) {
+      await release();
+    }
+    return {
+      status: 'ERROR',
+      issue: `Error checking page: ${error.message}`,
+      pageEnvironment: null,
+      stagingHost: null,
+      productionHost: null,
+      leakCount: 0,
+      counts: {},
+      findings: []
+    };
+  }
+}
+
+module.exports = {
+  checkEnvironment,
+  findEnvironmentLeaks,
+  classifyDevHost,
+  classifyReference
+};
@@ -0,0 +1,530 @@
+const { preparePage, resolveViewport } = require('./screenshotHandler');
+
+// Audit defaults and limits
+const DEFAULT_MAX_TABS = 100;
+const MAX_TABS = 500;
+const MAX_FOCUS_SCREENSHOTS = 40;
+// Time for :focus-visible transitions and focus-triggered menus to settle after a key press
+const FOCUS_SETTLE_MS = 100;
+// Padding around the focused element in focus-ring screenshots (CSS pixels)
+const FOCUS_SCREENSHOT_PADDING = 12;
+// Skip links must be among the first few focus stops to be useful
+const SKIP_LINK_MAX_POSITION = 3;
+const SKIP_LINK_TEXT = /skip|jump to|main content|go to content/i;
+// Menu toggles tried when looking for a keyboard path to hidden menu items
+const MAX_MENU_TOGGLES = 5;
+
+/**
+ * Install window.__qaKeyboard, the in-page half of the audit. Runs in the browser.
+ * Elements get stable numeric ids so the focus sequence can be compared across key presses,
+ * and each focusable element's unfocused styles are recorded so the focused styles
+ * (including :focus-visible rules) can be compared against them.
+ */
+function installKeyboardProbe() {
+  if (window.__qaKeyboard) return;
+
+  const FOCUSABLE = 'a[href], area[href], button, input:not([type="hidden"]), select, textarea, summary, iframe, [contenteditable=""], [contenteditable="true"], [tabindex]';
+  const MENU_LINKS = 'nav a[href], [role="navigation"] a[href], header a[href], [role="menu"] [role="menuitem"], [role="menubar"] [role="menuitem"]';
+  const OWN_PROPS = ['outlineStyle', 'outlineWidth', 'outlineColor', 'outlineOffset', 'boxShadow', 'borderTopColor', 'borderBottomColor', 'borderTopWidth', 'borderBottomWidth', 'backgroundColor', 'color', 'textDecorationLine'];
+  const RELATED_PROPS = ['outlineStyle', 'boxShadow', 'backgroundColor', 'borderBottomColor', 'opacity', 'transform', 'content'];
+
+  const ids = new WeakMap();
+  const elements = new Map();
+  const baselines = new WeakMap();
+  let nextId = 1;
+  let skipTarget = null;
+
+  function idFor(el) {
+    if (!ids.has(el)) {
+      ids.set(el, nextId);
+      elements.set(nextId, el);
+      nextId++;
+    }
+    return ids.get(el);
+  }
+
+  function cssSelector(el) {
+    const parts = [];
+    let current = el;
+    while (current && current.nodeType === 1 && current !== document.documentElement) {
+      if (current.id && /^[A-Za-z][\w-]*$/.test(current.id)) {
+        parts.unshift(`#${current.id}`);
+        break;
+      }
+      let part = current.tagName.toLowerCase();
+      const parent = current.parentElement;
+      if (parent) {
+        const sameTag = Array.from(parent.children).filter(c => c.tagName === current.tagName);
+        if (sameTag.length > 1) part += `:nth-of-type(${sameTag.indexOf(current) + 1})`;
+      }
+      parts.unshift(part);
+      current = parent;
+    }
+    return parts.join(' > ');
+  }
+
+  function isShown(el) {
+    const rect = el.getBoundingClientRect();
+    if (rect.width === 0 || rect.height === 0) return false;
+    const style = getComputedStyle(el);
+    return style.display !== 'none' && style.visibility !== 'hidden' && parseFloat(style.opacity) > 0;
+  }
+
+  function pick(style, props, prefix, out) {
+    for (const prop of props) out[prefix + prop] = style[prop];
+    return out;
+  }
+
+  // Own styles plus ::before/::after and the parent, which often carry the focus ring
+  function snapshot(el) {
+    const out = pick(getComputedStyle(el), OWN_PROPS, '', {});
+    pick(getComputedStyle(el, '::before'), RELATED_PROPS, '::before.', out);
+    pick(getComputedStyle(el, '::after'), RELATED_PROPS, '::after.', out);
+    if (el.parentElement) pick(getComputedStyle(el.parentElement), RELATED_PROPS, 'parent.', out);
+    return out;
+  }
+
+  // Why a focused element cannot be seen, or null when it can
+  function invisibleReason(el) {
+    const rect = el.getBoundingClientRect();
+    if (rect.width <= 1 || rect.height <= 1) return 'zero-size';
+    if (rect.right <= 0 || rect.bottom <= 0 || rect.left >= window.innerWidth || rect.top >= window.innerHeight) {
+      return 'off-screen';
+    }
+    for (let current = el; current && current.nodeType === 1; current = current.parentElement) {
+      const style = getComputedStyle(current);
+      if (style.visibility === 'hidden') return 'hidden';
+      if (parseFloat(style.opacity) === 0) return 'transparent';
+      if (current !== el && style.overflow !== 'visible') {
+        const box = current.getBoundingClientRect();
+        if (rect.right <= box.left || rect.left >= box.right || rect.bottom <= box.top || rect.top >= box.bottom) {
+          return 'clipped';
+        }
+      }
+    }
+    return null;
+  }
+
+  function activeElement() {
+    let el = document.activeElement;
+    while (el && el.shadowRoot && el.shadowRoot.activeElement) el = el.shadowRoot.activeElement;
+    if (!el || el === document.body || el === document.documentElement || el.hasAttribute('data-qa-keyboard-start')) return null;
+    return el;
+  }
+
+  function describe(el) {
+    const rect = el.getBoundingClientRect();
+    const text = (el.getAttribute('aria-label') || el.innerText || el.value || el.getAttribute('title') || '').trim();
+    return {
+      id: idFor(el),
+      selector: cssSelector(el),
+      tag: el.tagName.toLowerCase(),
+      role: el.getAttribute('role'),
+      text: text.replace(/\s+/g, ' ').substring(0, 80),
+      href: el.getAttribute('href'),
+      box: { x: Math.round(rect.left), y: Math.round(rect.top), width: Math.round(rect.width), height: Math.round(rect.height) }
+    };
+  }
+
+  window.__qaKeyboard = {
+    // Put the focus navigation starting point at the top of the document
+    reset() {
+      let start = document.querySelector('[data-qa-keyboard-start]');
+      if (!start) {
+        start = document.createElement('span');
+        start.setAttribute('data-qa-keyboard-start', '');
+        start.tabIndex = -1;
+        start.style.cssText = 'position:absolute;top:0;left:0;width:1px;height:1px;overflow:hidden;';
+        document.body.prepend(start);
+      }
+      window.scrollTo(0, 0);
+      start.focus({ preventScroll: true });
+    },
+
+    recordBaselines() {
+      const els = document.querySelectorAll(FOCUSABLE);
+      for (const el of els) baselines.set(el, snapshot(el));
+      return els.length;
+    },
+
+    active() {
+      const el = activeElement();
+      if (!el) return null;
+      const info = describe(el);
+      info.invisibleReason = el.tagName === 'IFRAME' ? null : invisibleReason(el);
+      info.ariaHidden = !!el.closest('[aria-hidden="true"]');
+
+      // Elements added after the baseline was recorded cannot be compared
+      const before = baselines.get(el);
+      if (before) {
+        const after = snapshot(el);
+        const focusedStyle = getComputedStyle(el);
+        info.indicatorChanges = Object.keys(after).filter(prop => {
+          if (after[prop] === before[prop]) return false;
+          // An outline colour change only matters when an outline is drawn
+          if (prop === 'outlineColor' || prop === 'outlineOffset') return focusedStyle.outlineStyle !== 'none';
+          return true;
+        });
+        const hasOutline = focusedStyle.outlineStyle !== 'none' && parseFloat(focusedStyle.outlineWidth) > 0;
+        info.focusIndicator = info.indicatorChanges.length > 0 || (hasOutline && before.outlineStyle === 'none');
+      } else {
+        info.indicatorChanges = [];
+        info.focusIndicator = null;
+      }
+      return info;
+    },
+
+    // Shown elements the browser should put in the tab order
+    tabbables() {
+      return Array.from(document.querySelectorAll(FOCUSABLE))
+        .filter(el => el.tabIndex >= 0 && !el.disabled && !el.closest('[inert]') && isShown(el))
+        .map(el => ({ id: idFor(el), selector: cssSelector(el) }));
+    },
+
+    menuLinks() {
+      return Array.from(document.querySelectorAll(MENU_LINKS)).map(el => {
+        // A submenu is usually opened by an aria-expanded control pointing at it or sharing its list item
+        let toggle = null;
+        for (let container = el.parentElement; container && container !== document.body && !toggle; container = container.parentElement) {
+          if (container.id) {
+            toggle = document.querySelector(`[aria-controls~="${CSS.escape(container.id)}"]`);
+          }
+          if (!toggle && container.tagName === 'LI') {
+            toggle = Array.from(container.querySelectorAll('[aria-expanded]')).find(candidate => !candidate.contains(el) && candidate !== el) || null;
+          }
+        }
+        return {
+          id: idFor(el),
+          selector: cssSelector(el),
+          text: (el.innerText || el.getAttribute('aria-label') || '').trim().replace(/\s+/g, ' ').substring(0, 80),
+          href: el.href || null,
+          shown: isShown(el),
+          toggleId: toggle ? idFor(toggle) : null,
+          toggleSelector: toggle ? cssSelector(toggle) : null,
+          toggleIsButton: toggle ? (toggle.tagName === 'BUTTON' || toggle.getAttribute('role') === 'button' || (toggle.getAttribute('href') || '').startsWith('#')) : false
+        };
+      });
+    },
+
+    focusById(id) {
+      const el = elements.get(id);
+      if (el) el.focus();
+      return !!el && activeElement() === el;
+    },
+
+    findSkipTarget(href) {
+      const hash = decodeURIComponent((href || '').split('#')[1] || '');
+      skipTarget = hash ? (document.getElementById(hash) || document.getElementsByName(hash)[0] || null) : null;
+      return skipTarget ? cssSelector(skipTarget) : null;
+    },
+
+    // Where the focused element sits relative to the skip link target
+    positionFromSkipTarget() {
+      const el = activeElement();
+      if (!skipTarget) return null;
+      if (!el) return 'none';
+      if (skipTarget === el || skipTarget.contains(el)) return 'inside';
+      return skipTarget.compareDocumentPosition(el) & Node.DOCUMENT_POSITION_FOLLOWING ? 'after' : 'before';
+    }
+  };
+}
+
+/**
+ * Press Tab once and describe where focus landed
+ */
+async function pressTab(page) {
+  await page.keyboard.press('Tab');
+  await page.waitForTimeout(FOCUS_SETTLE_MS);
+  return page.evaluate(() => window.__qaKeyboard.active());
+}
+
+/**
+ * Screenshot the focused element with a margin around it, so the focus ring is included
+ */
+async function captureFocusRing(page, box, quality) {
+  const viewport = page.viewportSize();
+  const x = Math.max(0, box.x - FOCUS_SCREENSHOT_PADDING);
+  const y = Math.max(0, box.y - FOCUS_SCREENSHOT_PADDING);
+  const width = Math.min(viewport.width, box.x + box.width + FOCUS_SCREENSHOT_PADDING) - x;
+  const height = Math.min(viewport.height, box.y + box.height + FOCUS_SCREENSHOT_PADDING) - y;
+  if (width < 1 || height < 1) return null;
+  return page.screenshot({ type: 'jpeg', quality, clip: { x, y, width, height } });
+}
+
+/**
+ * Walk the page with the Tab key and record the focus sequence.
+ * Stops at the end of the document, when focus wraps back to the first stop,
+ * when focus repeats (a trap) or after maxTabs presses.
+ */
+async function walkTabOrder(page, maxTabs, screenshotOptions) {
+  const stops = [];
+  const visited = new Map(); // element id -> index in stops
+  let previous = null;
+  let stuck = 0;
+  let reachedEnd = false;
+  let cycle = null;
+  let screenshots = 0;
+
+  for (let press = 0; press < maxTabs; press++) {
+    const active = await pressTab(page);
+
+    if (!active) {
+      // Focus left the document (past the last element)
+      if (stops.length > 0) {
+        reachedEnd = true;
+        break;
+      }
+      continue;
+    }
+
+    if (previous && active.id === previous.id) {
+      // Focus moving inside an iframe leaves the iframe as the active element
+      if (active.tag === 'iframe') continue;
+      if (++stuck >= 2) {
+        cycle = { type: 'stuck', fromIndex: stops.length - 1 };
+        break;
+      }
+      continue;
+    }
+    stuck = 0;
+    previous = active;
+
+    if (visited.has(active.id)) {
+      cycle = { type: 'cycle', fromIndex: visited.get(active.id) };
+      break;
+    }
+    visited.set(active.id, stops.length);
+
+    let screenshot = null;
+    if (screenshotOptions.enabled && !active.invisibleReason && screenshots < MAX_FOCUS_SCREENSHOTS) {
+      screenshot = await captureFocusRing(page, active.box, screenshotOptions.quality);
+      if (screenshot) screenshots++;
+    }
+
+    const { id, ...stop } = active;
+    stops.push({ index: stops.length + 1, id, ...stop, screenshot });
+  }
+
+  return { stops, visited, reachedEnd, cycle, truncated: !reachedEnd && !cycle };
+}
+
+/**
+ * Check the skip-to-content link: it must come first, point at an existing target,
+ * and move keyboard focus to that target when activated with Enter
+ */
+async function checkSkipLink(page, stops) {
+  const candidate = stops
+    .slice(0, SKIP_LINK_MAX_POSITION)
+    .find(stop => stop.tag === 'a' && (stop.href || '').includes('#') && SKIP_LINK_TEXT.test(stop.text));
+
+  if (!candidate) {
+    return { present: false, works: false, selector: null, target: null, problem: `No skip-to-content link among the first ${SKIP_LINK_MAX_POSITION} focus stops` };
+  }
+
+  const result = { present: true, works: false, selector: candidate.selector, text: candidate.text, target: null, problem: null };
+  result.target = await page.evaluate(href => window.__qaKeyboard.findSkipTarget(href), candidate.href);
+  if (!result.target) {
+    result.problem = `Skip link points at "${candidate.href}", which does not exist`;
+    return result;
+  }
+  if (candidate.invisibleReason) {
+    result.problem = `Skip link is not visible when focused (${candidate.invisibleReason})`;
+    return result;
+  }
+
+  // Tab back to the skip link with real key presses, activate it, then Tab once more
+  await page.evaluate(() => window.__qaKeyboard.reset());
+  let active = null;
+  for (let i = 0; i < candidate.index; i++) active = await pressTab(page);
+  if (!active || active.id !== candidate.id) {
+    result.problem = 'Skip link could not be focused again';
+    return result;
+  }
+  await page.keyboard.press('Enter');
+  await page.waitForTimeout(FOCUS_SETTLE_MS);
+  await pressTab(page);
+  const position = await page.evaluate(() => window.__qaKeyboard.positionFromSkipTarget());
+
+  if (position === 'inside' || position === 'after') {
+    result.works = true;
+  } else {
+    result.problem = `Activating the skip link does not move keyboard focus to ${result.target}`;
+  }
+  return result;
+}
+
+/**
+ * Find navigation links that never received focus. Links with the same URL as a focused
+ * link (e.g. duplicated mobile menus) are not reported. Submenus behind a button with
+ * aria-expanded are opened with Enter to see whether their links become reachable.
+ */
+async function findUnreachableMenuItems(page, visited) {
+  const links = await page.evaluate(() => window.__qaKeyboard.menuLinks());
+  const focusedHrefs = new Set(links.filter(link => visited.has(link.id)).map(link => link.href));
+  const unreached = links.filter(link => !visited.has(link.id) && !(link.href && focusedHrefs.has(link.href)));
+
+  const toggles = new Map();
+  for (const link of unreached) {
+    if (link.toggleId && link.toggleIsButton && visited.has(link.toggleId) && !toggles.has(link.toggleId)) {
+      toggles.set(link.toggleId, link.toggleSelector);
+    }
+  }
+
+  // Open each submenu from the keyboard and see whether Tab moves into it
+  const openedVia = new Map(); // link id -> toggle selector
+  for (const [toggleId, toggleSelector] of [...toggles].slice(0, MAX_MENU_TOGGLES)) {
+    try {
+      const focused = await page.evaluate(id => window.__qaKeyboard.focusById(id), toggleId);
+      if (!focused) continue;
+      await page.keyboard.press('Enter');
+      await page.waitForTimeout(FOCUS_SETTLE_MS);
+      const active = await pressTab(page);
+      const submenu = unreached.filter(link => link.toggleId === toggleId);
+      if (active && submenu.some(link => link.id === active.id)) {
+        for (const link of submenu) openedVia.set(link.id, toggleSelector);
+      }
+      await page.keyboard.press('Escape');
+    } catch (error) {
+      console.warn(`[KEYBOARD] Could not open submenu ${toggleSelector}:`, error.message);
+    }
+  }
+
+  return unreached
+    .filter(link => !openedVia.has(link.id))
+    .map(link => ({
+      selector: link.selector,
+      text: link.text,
+      href: link.href,
+      shown: link.shown,
+      toggle: link.toggleSelector
+    }));
+}
+
+/**
+ * Audit keyboard navigation with real Tab key presses: the focus order (with a screenshot of
+ * each focus ring), focus traps, elements that receive focus while invisible or without a
+ * visible focus indicator, the skip-to-content link and menu items keyboard users cannot reach.
+ * @param {string} url - The URL to audit
+ * @param {Object} options
+ * @param {string|Object} options.viewport - Viewport spec (default: desktop)
+ * @param {number} options.maxTabs - Max Tab presses (default: 100, max 500)
+ * @param {boolean} options.screenshots - Capture each focus ring (default: true, first 40 stops)
+ * @param {number} options.quality - JPEG quality 0-100 of focus-ring screenshots (default: 70)
+ * @param {boolean} options.dismissPopups - Dismiss cookie banners and modals first (default: true)
+ * @returns {Promise<Object>} Audit result with status PASS | WARNING | FAIL | ERROR
+ */
+async function runKeyboardAudit(url, options = {}) {
+  const resolved = resolveViewport(options.viewport || 'desktop');
+  const maxTabs = Math.min(MAX_TABS, Math.max(1, parseInt(options.maxTabs, 10) || DEFAULT_MAX_TABS));
+  const quality = Math.min(100, Math.max(0, parseInt(options.quality, 10) || 70));
+
+  let release;
+  try {
+    console.log(`[KEYBOARD] Auditing ${url} at ${resolved.name} (up to ${maxTabs} Tab presses)`);
+    const prepared = await preparePage(url, resolved, { dismiss: options.dismissPopups !== false });
+    release = prepared.release;
+    const page = prepared.page;
+
+    // Smooth scrolling would delay focused elements scrolling into view
+    await page.addStyleTag({ content: 'html, body { scroll-behavior: auto !important; }' });
+    await page.evaluate(installKeyboardProbe);
+    await page.evaluate(() => window.__qaKeyboard.recordBaselines());
+    await page.evaluate(() => window.__qaKeyboard.reset());
+
+    const walk = await walkTabOrder(page, maxTabs, { enabled: options.screenshots !== false, quality });
+    const { stops, visited } = walk;
+
+    // A cycle that does not start at the first stop, or that leaves tabbable elements
+    // unvisited, means focus cannot leave part of the page
+    let focusTrap = null;
+    if (walk.cycle) {
+      const tabbables = await page.evaluate(() => window.__qaKeyboard.tabbables());
+      const unvisited = tabbables.filter(item => !visited.has(item.id));
+      if (walk.cycle.type === 'stuck' || walk.cycle.fromIndex > 0 || unvisited.length > 0) {
+        focusTrap = {
+          type: walk.cycle.type,
+          selectors: stops.slice(walk.cycle.fromIndex).map(stop => stop.selector),
+          unreachableCount: unvisited.length,
+          unreachable: unvisited.slice(0, 10).map(item => item.selector)
+        };
+      }
+    }
+
+    const skipLink = await checkSkipLink(page, stops);
+    const unreachableMenuItems = await findUnreachableMenuItems(page, visited);
+
+    await release();
+    release = null;
+
+    const invisibleFocus = stops
+      .filter(stop => stop.invisibleReason)
+      .map(stop => ({ index: stop.index, selector: stop.selector, text: stop.text, reason: stop.invisibleReason }));
+    const missingIndicators = stops
+      .filter(stop => !stop.invisibleReason && stop.focusIndicator === false)
+      .map(stop => ({ index: stop.index, selector: stop.selector, text: stop.text }));
+
+    const issues = [];
+    if (focusTrap) {
+      issues.push(`Keyboard focus is trapped in ${focusTrap.selectors.length} element(s) starting at ${focusTrap.selectors[0]}`);
+    }
+    if (invisibleFocus.length > 0) {
+      issues.push(`${invisibleFocus.length} element(s) receive focus while invisible`);
+    }
+    if (missingIndicators.length > 0) {
+      issues.push(`${missingIndicators.length} of ${stops.length} focus stop(s) have no visible focus indicator`);
+    }
+    if (unreachableMenuItems.length > 0) {
+      issues.push(`${unreachableMenuItems.length} menu item(s) cannot be reached with the keyboard`);
+    }
+    if (skipLink.problem) issues.push(skipLink.problem);
+
+    // A missing skip link is a warning; everything else (including a broken one) fails the audit
+    const failingCount = issues.length - (skipLink.present ? 0 : 1);
+    let status = 'PASS';
+    if (failingCount > 0) status = 'FAIL';
+    else if (issues.length > 0) status = 'WARNING';
+
+    console.log(`[KEYBOARD] ${status} for ${url}: ${stops.length} focus stop(s), ${issues.length} issue(s)`);
+
+    return {
+      status,
+      issue: issues.length > 0 ? issues.join('; ') : null,
+      issues,
+      url,
+      viewport: resolved.name,
+      tabStops: stops.length,
+      reachedEnd: walk.reachedEnd,
+      truncated: walk.truncated,
+      focusOrder: stops.map(({ id, ...stop }) => stop),
+      focusTrap,
+      invisibleFocus,
+      missingIndicators,
+      skipLink,
+      unreachableMenuItems
+    };
+  } catch (error) {
+    console.error(`[KEYBOARD] Audit failed for ${url}:`, error.message);
+    if (release) await release();
+    return {
+      status: 'ERROR',
+      issue: `Keyboard audit failed: ${error.message}`,
+      issues: [],
+      url,
+      viewport: resolved.name,
+      tabStops: 0,
+      reachedEnd: false,
+      truncated: false,
+      focusOrder: [],
+      focusTrap: null,
+      invisibleFocus: [],
+      missingIndicators: [],
+      skipLink: null,
+      unreachableMenuItems: []
+    };
+  }
+}
+
+module.exports = {
+  runKeyboardAudit,
+  installKeyboardProbe
+};
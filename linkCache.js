@@ -0,0 +1,200 @@
+const fs = require('fs');
+const path = require('path');
+
+// Optional persistent cache for external link results (disabled unless LINK_CACHE_FILE is set)
+const LINK_CACHE_FILE = process.env.LINK_CACHE_FILE || '';
+const LINK_CACHE_TTL_MS = parseInt(process.env.LINK_CACHE_TTL_MS, 10) || 24 * 60 * 60 * 1000; // 24h default
+
+/**
+ * Read persisted link results from disk, dropping expired entries
+ * @param {string} filePath - Cache file path
+ * @param {number} ttlMs - Entry lifetime in ms
+ * @returns {Map<string, {result: Object, checkedAt: number}>}
+ */
+function loadPersistentEntries(filePath, ttlMs) {
+  const entries = new Map();
+  if (!filePath) return entries;
+
+  try {
+    const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const cutoff = Date.now() - ttlMs;
+    for (const [url, entry] of Object.entries(raw || {})) {
+      if (entry && entry.checkedAt > cutoff) {
+        entries.set(url, entry);
+      }
+    }
+    console.log(`[LINK-CACHE] Loaded ${entries.size} cached link result(s) from ${filePath}`);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`[LINK-CACHE] Could not read ${filePath}:`, error.message);
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Create a link status cache shared by every page in a run.
+ * Concurrent lookups of the same URL share one in-flight check.
+ * When a persistent file is configured, healthy results for URLs checked with
+ * { persist: true } are written to disk and reused until they expire. Broken
+ * results are never persisted so a fixed link is re-checked on the next rerun.
+ * @param {Object} options
+ * @param {string} options.persistentPath - JSON file for persisted results (default: LINK_CACHE_FILE env)
+ * @param {number} options.ttlMs - Lifetime of persisted results (default: LINK_CACHE_TTL_MS env or 24h)
+ * @returns {{getOrCheck: Function, save: Function, stats: Function}}
+ */
+function createLinkStatusCache(options = {}) {
+  const persistentPath = options.persistentPath !== undefined ? options.persistentPath : LINK_CACHE_FILE;
+  const ttlMs = options.ttlMs || LINK_CACHE_TTL_MS;
+
+  const memory = new Map(); // url -> Promise<result>
+  const persistent = loadPersistentEntries(persistentPath, ttlMs);
+  let hits = 0;
+  let misses = 0;
+  let dirty = false;
+
+  /**
+   * Return the cached result for a URL, or run checkFn and cache its result
+   * @param {string} url - Link URL
+   * @param {() => Promise<Object>} checkFn - Performs the actual check
+   * @param {{persist: boolean}} cacheOptions - Whether a healthy result may be persisted
+   * @returns {Promise<Object>} Link check result
+   */
+  function getOrCheck(url, checkFn, cacheOptions = {}) {
+    if (memory.has(url)) {
+      hits++;
+      return memory.get(url);
+    }
+
+    const stored = persistent.get(url);
+    if (stored && stored.checkedAt > Date.now() - ttlMs) {
+      hits++;
+      const cached = Promise.resolve({ ...stored.result, cached: true });
+      memory.set(url, cached);
+      return cached;
+    }
+
+    misses++;
+    const pending = checkFn().then(result => {
+      if (persistentPath && cacheOptions.persist && !result.broken) {
+        persistent.set(url, { result, checkedAt: Date.now() });
+        dirty = true;
+      }
+      return result;
+    });
+    memory.set(url, pending);
+    return pending;
+  }
+
+  /**
+   * Write persisted results back to disk (no-op when nothing changed)
+   */
+  async function save() {
+    if (!persistentPath || !dirty) return;
+    try {
+      await fs.promises.mkdir(path.dirname(persistentPath), { recursive: true });
+      await fs.promises.writeFile(persistentPath, JSON.stringify(Object.fromEntries(persistent)));
+      dirty = false;
+      console.log(`[LINK-CACHE] Saved ${persistent.size} link result(s) to ${persistentPath}`);
+    } catch (error) {
+      console.warn(`[LINK-CACHE] Could not write ${persistentPath}:`, error.message);
+    }
+  }
+
+  function stats() {
+    return { hits, misses, uniqueUrls: memory.size, persistent: !!persistentPath };
+  }
+
+  return { getOrCheck, save, stats };
+}
+
+/**
+ * Create a limiter that caps concurrent requests per host and overall,
+ * with an optional delay between requests to the same host.
+ * @param {Object} options
+ * @param {number} options.perHost - Max in-flight requests per host (default: LINK_HOST_CONCURRENCY env or 2)
+ * @param {number} options.delayMs - Minimum gap between request starts to one host (default: LINK_HOST_DELAY_MS env or 0)
+ * @param {number} options.maxConcurrent - Max in-flight requests across all hosts (default: LINK_CHECK_CONCURRENCY env or 10)
+ * @returns {{schedule: Function}}
+ */
+function createHostLimiter(options = {}) {
+  const perHost = parseInt(options.perHost) || parseInt(process.env.LINK_HOST_CONCURRENCY, 10) || 2;
+  const delayMs = parseInt(options.delayMs) || parseInt(process.env.LINK_HOST_DELAY_MS, 10) || 0;
+  const maxConcurrent = parseInt(options.maxConcurrent) || parseInt(process.env.LINK_CHECK_CONCURRENCY, 10) || 10;
+
+  const hosts = new Map(); // host -> { active, lastStart }
+  const queue = []; // { host, fn, resolve, reject }
+  let active = 0;
+  let timer = null;
+
+  function hostState(host) {
+    if (!hosts.has(host)) hosts.set(host, { active: 0, lastStart: 0 });
+    return hosts.get(host);
+  }
+
+  function pump() {
+    let nextWake = Infinity;
+
+    for (let i = 0; i < queue.length && active < maxConcurrent; i++) {
+      const task = queue[i];
+      const state = hostState(task.host);
+      if (state.active >= perHost) continue;
+
+      const wait = state.lastStart + delayMs - Date.now();
+      if (wait > 0) {
+        nextWake = Math.min(nextWake, wait);
+        continue;
+      }
+
+      queue.splice(i, 1);
+      i--;
+      state.active++;
+      state.lastStart = Date.now();
+      active++;
+
+      Promise.resolve()
+        .then(task.fn)
+        .then(task.resolve, task.reject)
+        .finally(() => {
+          state.active--;
+          active--;
+          pump();
+        });
+    }
+
+    // Some hosts are only waiting on their delay; wake up when the first is ready
+    if (nextWake !== Infinity && !timer) {
+      timer = setTimeout(() => {
+        timer = null;
+        pump();
+      }, nextWake);
+    }
+  }
+
+  /**
+   * Run fn once the URL's host has a free slot
+   * @param {string} url - Request URL (used for its host)
+   * @param {() => Promise<*>} fn - Request to run
+   * @returns {Promise<*>} Result of fn
+   */
+  function schedule(url, fn) {
+    let host;
+    try {
+      host = new URL(url).host;
+    } catch {
+      host = '';
+    }
+    return new Promise((resolve, reject) => {
+      queue.push({ host, fn, resolve, reject });
+      pump();
+    });
+  }
+
+  return { schedule };
+}
+
+module.exports = {
+  createLinkStatusCache,
+  createHostLimiter
+};
@@ -1,5 +1,29 @@
-const { chromium } = require('playwright');
 const axios = require('axios');
+const { acquirePage } = require('./browserPool');
+const { createLinkStatusCache, createHostLimiter } = require('./linkCache');
+const { monitorNetwork, findBrokenResources } = require('./networkMonitor');
+const { checkMixedContent } = require('./mixedContentChecker');
+const { findEnvironmentLeaks } = require('./environmentChecker');
+const { resolveLinkRules, evaluateLinkRules } = require('./linkRules');
+const { getSoft404Fingerprint, checkSoft404 } = require('./soft404Detector');
+const { checkContactLinks } = require('./contactLinkChecker');
+const { collectPageLinks } = require('./linkCollector');
+const { VIEWPORTS } = require('./screenshotHandler');
+
+const MOBILE_USER_AGENT = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1';
+
+/**
+ * Browser context options for loading a page to collect links.
+ * The mobile viewport matters because navigation often lives behind a hamburger there.
+ * @param {string} viewport - 'desktop' (default) or 'mobile'
+ * @returns {Object} Context options for acquirePage
+ */
+function linkContextOptions(viewport) {
+  if (viewport === 'mobile') {
+    return { viewport: VIEWPORTS.mobile, isMobile: true, hasTouch: true, userAgent: MOBILE_USER_AGENT };
+  }
+  return { userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36' };
+}
 
 /**
  * Check if a URL is an HTTP/HTTPS link that should be checked
@@ -46,92 +70,476 @@ function isCheckableLink(href) {
   return lowerHref.startsWith('http://') || lowerHref.startsWith('https://');
 }
 
+// Links to these files are "documents" for the new-tab policy
+const DOCUMENT_EXTENSIONS = /\.(pdf|docx?|xlsx?|pptx?|csv|rtf|odt|ods|odp|zip)$/i;
+
+// Default new-tab policy: 'required' | 'forbidden' | 'ignore' per link class
+const DEFAULT_NEW_TAB_POLICY = {
+  external: 'required',
+  internal: 'forbidden',
+  documents: 'required'
+};
+
 /**
- * Check if a URL is a social media site that should be skipped from broken link checks
- * These sites often block automated requests and return false positives
- * @param {string} href - The link href
- * @returns {boolean} True if link is a social media site to skip
+ * Merge a per-request new-tab policy over the defaults, ignoring unknown values
+ * @param {Object} policy - Partial policy, e.g. { external: 'ignore' }
+ * @returns {{external: string, internal: string, documents: string}}
  */
-function isSocialMediaLink(href) {
-  if (!href) return false;
-  
-  const socialMediaDomains = [
-    'instagram.com',
-    'www.instagram.com',
-    'facebook.com',
-    'www.facebook.com',
-    'fb.com',
-    'twitter.com',
-    'www.twitter.com',
-    'x.com',
-    'www.x.com',
-    'linkedin.com',
-    'www.linkedin.com',
-    'tiktok.com',
-    'www.tiktok.com',
-    'pinterest.com',
-    'www.pinterest.com',
-    'snapchat.com',
-    'www.snapchat.com',
-    'youtube.com',
-    'www.youtube.com',
-    'youtu.be',
-    'reddit.com',
-    'www.reddit.com',
-    'tumblr.com',
-    'www.tumblr.com',
-    'discord.com',
-    'discord.gg',
-    'threads.net',
-    'www.threads.net'
-  ];
-  
+function resolveNewTabPolicy(policy) {
+  const resolved = { ...DEFAULT_NEW_TAB_POLICY };
+  if (policy && typeof policy === 'object') {
+    for (const key of Object.keys(DEFAULT_NEW_TAB_POLICY)) {
+      if (['required', 'forbidden', 'ignore'].includes(policy[key])) {
+        resolved[key] = policy[key];
+      }
+    }
+  }
+  return resolved;
+}
+
+/**
+ * Whether a link target opens a new browsing context
+ * (_blank or any named window; _self/_parent/_top stay in the current tab)
+ */
+function opensNewTab(target) {
+  const value = (target || '').trim().toLowerCase();
+  return value !== '' && !['_self', '_parent', '_top'].includes(value);
+}
+
+/**
+ * Collect every id and named anchor in the loaded page (valid #fragment targets)
+ * @param {import('playwright').Page} page - Page that has finished navigating
+ * @returns {Promise<string[]>}
+ */
+async function collectAnchorTargets(page) {
+  return page.evaluate(() => {
+    const targets = new Set();
+    document.querySelectorAll('[id]').forEach(el => targets.add(el.id));
+    document.querySelectorAll('a[name]').forEach(el => targets.add(el.getAttribute('name')));
+    return [...targets];
+  });
+}
+
+/**
+ * Return the fragment of a link that should be validated, or null.
+ * Skips empty fragments, SPA hash routes (#/ and #!) and text fragments (#:~:).
+ * @param {URL} linkUrl - Parsed link URL
+ * @returns {string|null} Decoded fragment without the leading #
+ */
+function getCheckableFragment(linkUrl) {
+  const raw = linkUrl.hash.slice(1);
+  if (!raw || raw.startsWith('/') || raw.startsWith('!') || raw.startsWith(':~:')) {
+    return null;
+  }
   try {
-    const url = new URL(href);
-    const hostname = url.hostname.toLowerCase();
-    return socialMediaDomains.some(domain => hostname === domain || hostname.endsWith('.' + domain));
+    return decodeURIComponent(raw);
   } catch {
-    return false;
+    return raw;
   }
 }
 
 /**
- * Check all links on a given page
+ * Whether a fragment resolves on a page with the given anchor targets.
+ * "#top" always resolves (browsers scroll to the top of the document).
+ */
+function fragmentExists(fragment, targets) {
+  return fragment.toLowerCase() === 'top' || targets.includes(fragment);
+}
+
+/**
+ * Load a page in the browser and return its anchor targets
+ * @param {string} targetUrl - URL without fragment
+ * @returns {Promise<{broken: boolean, targets: string[], error?: string}>}
+ */
+async function loadAnchorTargets(targetUrl) {
+  let release;
+
+  try {
+    const acquired = await acquirePage({
+      userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+    });
+    release = acquired.release;
+    const page = acquired.page;
+
+    const navTimeout = parseInt(process.env.REQUEST_TIMEOUT, 10) || 180000;
+    await page.goto(targetUrl, {
+      waitUntil: 'domcontentloaded',
+      timeout: navTimeout
+    });
+
+    // Wait a bit for dynamic content
+    await page.waitForTimeout(2000);
+
+    const targets = await collectAnchorTargets(page);
+
+    await release();
+
+    return { broken: false, targets };
+  } catch (error) {
+    if (release) {
+      await release();
+    }
+    return { broken: true, targets: [], error: error.message };
+  }
+}
+
+/**
+ * Load a page and return the links on it without verifying them.
+ * Used by the site crawler to discover pages using the same link
+ * collection as checkPageLinks.
+ * @param {string} pageUrl - The URL to load
+ * @param {Object} options
+ * @param {boolean} options.revealNavigation - Open menus / accordions before collecting (default: false;
+ *   crawled links are usually also in the sitemap or page body, and revealing costs seconds per page)
+ * @param {string} options.viewport - 'desktop' (default) or 'mobile'
+ * @returns {Promise<{links: Array, finalUrl: string, title: string}>}
+ */
+async function extractPageLinks(pageUrl, options = {}) {
+  let release;
+
+  try {
+    const acquired = await acquirePage(linkContextOptions(options.viewport));
+    release = acquired.release;
+    const page = acquired.page;
+
+    const navTimeout = parseInt(process.env.REQUEST_TIMEOUT, 10) || 180000;
+    await page.goto(pageUrl, {
+      waitUntil: 'domcontentloaded',
+      timeout: navTimeout
+    });
+
+    // Wait a bit for dynamic content
+    await page.waitForTimeout(2000);
+
+    const finalUrl = page.url();
+    const title = await page.title();
+    const { links } = await collectPageLinks(page, { reveal: options.revealNavigation === true });
+
+    await release();
+
+    return { links, finalUrl, title };
+  } catch (error) {
+    if (release) {
+      await release();
+    }
+    throw error;
+  }
+}
+
+// Hard stop for redirect following (the chain-length finding is configurable separately)
+const MAX_REDIRECT_HOPS = 10;
+// Chains with more redirects than this are reported (override per request with maxRedirectChain)
+const DEFAULT_MAX_REDIRECT_CHAIN = parseInt(process.env.MAX_REDIRECT_CHAIN, 10) || 3;
+
+/**
+ * Request a URL, following redirects manually so every hop is recorded
+ * @param {string} href - URL to request
+ * @param {string} method - 'head' | 'get'
+ * @param {number} timeout - Per-request timeout in ms
+ * @returns {Promise<{status: number, finalUrl: string, hops: Array, redirectLoop: boolean, tooManyRedirects: boolean}>}
+ */
+async function requestWithRedirects(href, method, timeout) {
+  const hops = [];
+  const visited = new Set([href]);
+  let currentUrl = href;
+
+  for (;;) {
+    const response = await axios.request({
+      url: currentUrl,
+      method,
+      timeout,
+      maxRedirects: 0,
+      validateStatus: (status) => status < 500 // Accept redirects
+    });
+
+    const location = response.headers?.location;
+    if (response.status < 300 || response.status >= 400 || !location) {
+      return { status: response.status, finalUrl: currentUrl, hops, redirectLoop: false, tooManyRedirects: false };
+    }
+
+    const nextUrl = new URL(location, currentUrl).toString();
+    hops.push({ url: currentUrl, status: response.status, location: nextUrl });
+
+    if (visited.has(nextUrl)) {
+      return { status: response.status, finalUrl: nextUrl, hops, redirectLoop: true, tooManyRedirects: false };
+    }
+    if (hops.length >= MAX_REDIRECT_HOPS) {
+      return { status: response.status, finalUrl: nextUrl, hops, redirectLoop: false, tooManyRedirects: true };
+    }
+
+    visited.add(nextUrl);
+    currentUrl = nextUrl;
+  }
+}
+
+/**
+ * Request a URL and decide whether it is broken.
+ * Tries HEAD first, falling back to GET when HEAD errors or is not allowed.
+ * @param {string} href - URL to check
+ * @param {number} timeout - Request timeout in ms
+ * @returns {Promise<{status: number|null, broken: boolean, error?: string, hops: Array, finalUrl: string, redirectLoop: boolean, httpsDowngrade: boolean}>}
+ */
+async function verifyLink(href, timeout) {
+  let outcome = null;
+
+  try {
+    outcome = await requestWithRedirects(href, 'head', timeout);
+    // Some servers reject HEAD outright; let GET decide
+    if (outcome.status === 405) outcome = null;
+  } catch (error) {
+    // If HEAD fails, try GET (some servers don't support HEAD)
+  }
+
+  if (!outcome) {
+    try {
+      outcome = await requestWithRedirects(href, 'get', timeout);
+    } catch (err) {
+      return {
+        status: err.response?.status || null,
+        broken: true,
+        error: err.message,
+        errorCode: err.code || null,
+        hops: [],
+        finalUrl: href,
+        redirectLoop: false,
+        httpsDowngrade: false
+      };
+    }
+  }
+
+  const httpsDowngrade = outcome.hops.some(hop =>
+    hop.url.startsWith('https:') && hop.location.startsWith('http:')
+  );
+
+  let error;
+  if (outcome.redirectLoop) error = 'Redirect loop';
+  else if (outcome.tooManyRedirects) error = `More than ${MAX_REDIRECT_HOPS} redirects`;
+
+  return {
+    status: outcome.status,
+    broken: outcome.redirectLoop || outcome.tooManyRedirects || outcome.status >= 400,
+    ...(error ? { error } : {}),
+    hops: outcome.hops,
+    finalUrl: outcome.finalUrl,
+    redirectLoop: outcome.redirectLoop,
+    httpsDowngrade
+  };
+}
+
+// HTTP statuses that CDNs and WAFs commonly return to non-browser clients
+const BOT_CHALLENGE_STATUSES = new Set([401, 403, 406, 429, 451, 503, 999]);
+
+/**
+ * Load a URL in a real browser page and decide whether it is broken.
+ * Used for sites that block plain HTTP clients but work in Chrome.
+ * Redirect hops are rebuilt from the navigation's redirect chain.
+ * @param {string} href - URL to check
+ * @returns {Promise<{status: number|null, broken: boolean, error?: string, hops: Array, finalUrl: string, redirectLoop: boolean, httpsDowngrade: boolean, verifiedVia: string}>}
+ */
+async function verifyLinkInBrowser(href) {
+  let release;
+
+  try {
+    const acquired = await acquirePage();
+    release = acquired.release;
+    const page = acquired.page;
+
+    const response = await page.goto(href, {
+      waitUntil: 'domcontentloaded',
+      timeout: 30000
+    });
+
+    const hops = [];
+    let request = response ? response.request().redirectedFrom() : null;
+    while (request) {
+      const redirectResponse = await request.response();
+      hops.unshift({
+        url: request.url(),
+        status: redirectResponse ? redirectResponse.status() : null,
+        location: request.redirectedTo()?.url() || null
+      });
+      request = request.redirectedFrom();
+    }
+
+    let status = response ? response.status() : null;
+
+    // Bot challenge pages (Cloudflare, Akamai, ...) reload themselves once the browser passes
+    if (BOT_CHALLENGE_STATUSES.has(status)) {
+      const challengeResponse = await page.waitForNavigation({ waitUntil: 'domcontentloaded', timeout: 10000 }).catch(() => null);
+      if (challengeResponse) status = challengeResponse.status();
+    }
+
+    const finalUrl = page.url();
+
+    await release();
+
+    return {
+      status,
+      broken: status === null || status >= 400,
+      hops,
+      finalUrl,
+      redirectLoop: false,
+      httpsDowngrade: hops.some(hop => hop.url.startsWith('https:') && (hop.location || '').startsWith('http:')),
+      verifiedVia: 'browser'
+    };
+  } catch (error) {
+    if (release) {
+      await release();
+    }
+    return {
+      status: null,
+      broken: true,
+      error: error.message,
+      errorCode: null,
+      hops: [],
+      finalUrl: href,
+      redirectLoop: false,
+      httpsDowngrade: false,
+      verifiedVia: 'browser'
+    };
+  }
+}
+
+/**
+ * Classify why a link is broken so reviewers can tell a dead page from a network problem
+ * @param {Object} result - Result from verifyLink / verifyLinkInBrowser
+ * @returns {string} timeout | dns | tls | connection_refused | connection_reset |
+ *   redirect_loop | too_many_redirects | http_4xx | http_5xx | unreachable
+ *   (soft_404 is assigned separately by inspectPage)
+ */
+function classifyLinkError(result) {
+  if (result.redirectLoop) return 'redirect_loop';
+  if (result.error && /more than \d+ redirects/i.test(result.error)) return 'too_many_redirects';
+
+  const code = result.errorCode || '';
+  const message = result.error || '';
+  if (code === 'ECONNABORTED' || code === 'ETIMEDOUT' || /timeout/i.test(message)) return 'timeout';
+  if (code === 'ENOTFOUND' || code === 'EAI_AGAIN' || /ERR_NAME_NOT_RESOLVED/.test(message)) return 'dns';
+  if (/CERT|SSL|TLS/i.test(code) || /ERR_CERT|ERR_SSL/.test(message)) return 'tls';
+  if (code === 'ECONNREFUSED' || /ERR_CONNECTION_REFUSED/.test(message)) return 'connection_refused';
+  if (code === 'ECONNRESET' || /ERR_CONNECTION_RESET|socket hang up/i.test(message)) return 'connection_reset';
+
+  if (result.status >= 500) return 'http_5xx';
+  if (result.status >= 400) return 'http_4xx';
+  return 'unreachable';
+}
+
+/**
+ * Whether a failed HTTP check looks like bot blocking rather than a dead link
+ * (WAF/CDN status codes, reset connections, timeouts)
+ * @param {Object} result - Result from verifyLink
+ * @returns {boolean}
+ */
+function shouldRetryInBrowser(result) {
+  if (!result.broken || result.redirectLoop) return false;
+  if (BOT_CHALLENGE_STATUSES.has(result.status)) return true;
+  const errorClass = classifyLinkError(result);
+  return errorClass === 'connection_reset' || errorClass === 'timeout' || (errorClass === 'http_5xx' && result.status >= 520);
+}
+
+/**
+ * Check a link over HTTP, re-opening it in a real browser page when the HTTP
+ * check fails in a way that suggests the site blocks non-browser clients.
+ * A link that loads in the browser is reported healthy with reachableOnlyInBrowser set.
+ * @param {string} href - URL to check
+ * @param {number} timeout - HTTP request timeout in ms
+ * @param {boolean} browserFallback - Allow the browser re-check
+ * @returns {Promise<Object>} Link check result (see verifyLink)
+ */
+async function verifyLinkWithFallback(href, timeout, browserFallback) {
+  const result = await verifyLink(href, timeout);
+  if (!browserFallback || !shouldRetryInBrowser(result)) return result;
+
+  console.log(`[PLAYWRIGHT] HTTP check failed (${result.status || result.error}), retrying in browser: ${href}`);
+  const browserResult = await verifyLinkInBrowser(href);
+  if (browserResult.broken) {
+    // Keep the HTTP failure details; note the browser could not load it either
+    return { ...result, browserStatus: browserResult.status, browserError: browserResult.error || null };
+  }
+
+  console.log(`[PLAYWRIGHT] Reachable only in browser (${browserResult.status}): ${href}`);
+  return {
+    ...browserResult,
+    reachableOnlyInBrowser: true,
+    httpStatus: result.status || null,
+    httpError: result.error || null
+  };
+}
+
+/**
+ * Check a link through the run-wide cache and per-host limiter
+ * @param {string} href - URL to check
+ * @param {boolean} isExternal - External links use a shorter timeout and may be persisted
+ * @param {Object} linkCache - Cache from createLinkStatusCache
+ * @param {Object} hostLimiter - Limiter from createHostLimiter
+ * @param {boolean} useBrowser - Verify by loading the link in a browser page instead of HTTP
+ * @param {boolean} browserFallback - Re-check links that look bot-blocked in a browser page
+ * @returns {Promise<{status: number|null, broken: boolean, error?: string}>}
+ */
+function checkLinkStatus(href, isExternal, linkCache, hostLimiter, useBrowser = false, browserFallback = true) {
+  if (!isExternal) {
+    console.log(`[PLAYWRIGHT] Checking internal link: ${href}`);
+  }
+  if (useBrowser) {
+    return linkCache.getOrCheck(
+      `browser:${href}`,
+      () => hostLimiter.schedule(href, () => verifyLinkInBrowser(href)),
+      { persist: isExternal }
+    );
+  }
+  return linkCache.getOrCheck(
+    href,
+    () => hostLimiter.schedule(href, () => verifyLinkWithFallback(href, isExternal ? 5000 : 10000, browserFallback)),
+    { persist: isExternal }
+  );
+}
+
+/**
+ * Load a page once and run every per-page check on it
  * @param {string} pageUrl - The URL to check
- * @returns {Object} Link check results
+ * @param {Object} options - Shared run state (created per call when omitted)
+ * @param {Object} options.linkCache - Link status cache from createLinkStatusCache
+ * @param {Object} options.hostLimiter - Per-host limiter from createHostLimiter
+ * @param {number} options.maxRedirectChain - Report chains with more redirects than this (default: 3)
+ * @param {Object} options.newTabPolicy - Which link classes (external, internal, documents) must
+ *   ('required') or must not ('forbidden') open in a new tab, or 'ignore'. Violations only fail
+ *   the check when a policy is passed; the default policy just reports them
+ * @param {Object} options.linkRules - Skip / forceCheck / browserVerify rules (see linkRules.js)
+ * @param {number} options.detailLimit - Max entries per finding list (default: 10)
+ * @param {boolean} options.fullDetail - Return every entry in every finding list
+ * @param {boolean} options.soft404 - Check internal pages that return 200 for "not found" content (default: true)
+ * @param {boolean} options.browserFallback - Re-check links that fail with bot-blocking symptoms
+ *   (403, 429, reset, timeout, ...) in a real browser before reporting them broken (default: true)
+ * @param {Object} options.contactLinks - mailto:/tel:/sms: validation options
+ *   ({ checkMx, mxResolver }, see contactLinkChecker.js)
+ * @param {boolean} options.revealNavigation - Open hover/click menus, accordions and <details>
+ *   before collecting links (default: true)
+ * @param {string} options.viewport - Load the page as 'desktop' (default) or 'mobile'
+ * @param {Object} options.environment - { stagingUrl, productionUrl, allowHosts, devHosts } for the
+ *   environment leakage check (see environmentChecker.js)
+ * @returns {Promise<{linkChecks: Object, mixedContentChecks: Object, environmentChecks: Object}>}
  */
-async function checkPageLinks(pageUrl) {
-  let browser;
+async function inspectPage(pageUrl, options = {}) {
+  const linkCache = options.linkCache || createLinkStatusCache({ persistentPath: '' });
+  const hostLimiter = options.hostLimiter || createHostLimiter();
+  const maxRedirectChain = parseInt(options.maxRedirectChain) || DEFAULT_MAX_REDIRECT_CHAIN;
+  const newTabPolicy = resolveNewTabPolicy(options.newTabPolicy);
+  const linkRules = resolveLinkRules(options.linkRules);
+  const detailLimit = options.fullDetail ? Infinity : (parseInt(options.detailLimit) || 10);
+  const detectSoft404s = options.soft404 !== false;
+  const browserFallback = options.browserFallback !== false;
+  const viewport = options.viewport === 'mobile' ? 'mobile' : 'desktop';
+  let release;
   
   try {
     console.log(`[PLAYWRIGHT] Checking links for: ${pageUrl}`);
     
-    browser = await chromium.launch({
-      headless: true,
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',    // Don't use /dev/shm (limited on containers)
-        '--disable-gpu',               // Disable GPU (not needed)
-        '--single-process',            // Use single process (saves memory)
-        '--no-zygote',                 // Disable zygote process
-        '--disable-extensions',        // Disable extensions
-        '--disable-background-networking',
-        '--disable-default-apps',
-        '--disable-sync',
-        '--disable-translate',
-        '--metrics-recording-only',
-        '--mute-audio',
-        '--no-first-run',
-        '--safebrowsing-disable-auto-update'
-      ]
-    });
+    const acquired = await acquirePage(linkContextOptions(viewport));
+    release = acquired.release;
+    const page = acquired.page;
     
-    const context = await browser.newContext({
-      userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-    });
-    
-    const page = await context.newPage();
+    // Record sub-resource requests during the load (images, scripts, stylesheets, ...)
+    const network = monitorNetwork(page);
     
     // Navigate to page with timeout (configurable via REQUEST_TIMEOUT env)
     // Use 'domcontentloaded' instead of 'networkidle' - faster and more reliable
@@ -145,31 +553,66 @@ async function checkPageLinks(pageUrl) {
     // Wait a bit for dynamic content
     await page.waitForTimeout(2000);
     
-    // Get all links on the page
-    const links = await page.$$eval('a[href]', (anchors) => 
-      anchors.map(a => ({
-        href: a.href,
-        text: a.textContent?.trim() || '',
-        target: a.target || '',
-        rel: a.rel || ''
-      }))
-    );
+    // Page-level checks run on the page as loaded, before the reveal step clicks and
+    // hovers menus (which changes the DOM and can even navigate and reload the page)
+    const loadedUrl = page.url();
+    const anchorTargets = await collectAnchorTargets(page);
+    const brokenResources = await findBrokenResources(page, network.records, detailLimit);
+    const mixedContentChecks = await checkMixedContent(page, loadedUrl, network, { detailLimit });
+    const environmentChecks = await findEnvironmentLeaks(page, loadedUrl, network, {
+      ...(options.environment || {}),
+      detailLimit
+    });
+
+    // Get all links on the page, including ones behind menus, in shadow DOM and iframes
+    const { links, summary: linkCollection } = await collectPageLinks(page, {
+      reveal: options.revealNavigation !== false
+    });
+    
+    // Links are verified over HTTP, so free the pooled page before checking them
+    await release();
+    release = null;
     
     console.log(`[PLAYWRIGHT] Found ${links.length} links on ${pageUrl}`);
     
     // Parse the base URL
     const baseUrl = new URL(pageUrl);
     
+    // mailto:, tel: and sms: links are validated by syntax (and optionally MX records)
+    const contactLinks = await checkContactLinks(links, {
+      checkMx: options.contactLinks?.checkMx,
+      mxResolver: options.contactLinks?.mxResolver,
+      linkCache,
+      detailLimit
+    });
+    
     // Check each link
     const brokenLinks = [];
     const brokenInternalLinks = [];
     const linksWithoutNoopener = [];
+    const redirectLoops = [];
+    const longRedirectChains = [];
+    const redirectedInternalLinks = [];
+    const httpsDowngrades = [];
+    const brokenAnchors = [];
+    const brokenLinkDetails = [];
+    const skippedLinks = [];
+    const browserOnlyLinks = [];
+    const newTabIssues = {
+      externalWithoutNewTab: [],
+      externalOpeningNewTab: [],
+      internalWithoutNewTab: [],
+      internalOpeningNewTab: [],
+      documentsWithoutNewTab: [],
+      documentsOpeningNewTab: []
+    };
     let externalLinks = 0;
     let internalLinks = 0;
     let missingNoopener = 0;
     
     // De-duplicate links to avoid checking the same URL multiple times
     const checkedUrls = new Set();
+    const pendingChecks = [];
     
     for (const link of links) {
       try {
@@ -201,93 +644,268 @@ async function checkPageLinks(pageUrl) {
             linksWithoutNoopener.push(link.href);
           }
           
-          // Skip social media sites from broken link check (they block bots and return false positives)
-          if (isSocialMediaLink(link.href)) {
-            console.log(`[PLAYWRIGHT] Skipping social media link: ${link.href}`);
-            continue;
-          }
-          
-          // Check if external link is broken (with timeout)
-          try {
-            const response = await axios.head(link.href, { 
-              timeout: 5000,
-              maxRedirects: 5,
-              validateStatus: (status) => status < 500 // Accept redirects
-            });
-            
-            if (response.status >= 400) {
-              brokenLinks.push(link.href);
-            }
-          } catch (error) {
-            // If HEAD fails, try GET
-            try {
-              await axios.get(link.href, { 
-                timeout: 5000,
-                maxRedirects: 5,
-                validateStatus: (status) => status < 500
-              });
-            } catch (err) {
-              brokenLinks.push(link.href);
-            }
-          }
         } else {
           internalLinks++;
-          
-          // Check if internal link is broken (with timeout)
-          console.log(`[PLAYWRIGHT] Checking internal link: ${link.href}`);
-          try {
-            const response = await axios.head(link.href, { 
-              timeout: 10000,
-              maxRedirects: 5,
-              validateStatus: (status) => status < 500
-            });
-            
-            if (response.status >= 400) {
-              console.log(`[PLAYWRIGHT] Broken internal link (${response.status}): ${link.href}`);
-              brokenInternalLinks.push(link.href);
-            }
-          } catch (error) {
-            // If HEAD fails, try GET (some servers don't support HEAD)
-            try {
-              const response = await axios.get(link.href, { 
-                timeout: 10000,
-                maxRedirects: 5,
-                validateStatus: (status) => status < 500
-              });
-              
-              if (response.status >= 400) {
-                console.log(`[PLAYWRIGHT] Broken internal link (${response.status}): ${link.href}`);
-                brokenInternalLinks.push(link.href);
-              }
-            } catch (err) {
-              console.log(`[PLAYWRIGHT] Broken internal link (unreachable): ${link.href}`);
-              brokenInternalLinks.push(link.href);
-            }
-          }
         }
+        
+        // Apply skip / force-check / browser rules (social media sites are skipped by default
+        // because they block bots and return false positives)
+        const ruleMatch = evaluateLinkRules(link.href, linkRules);
+        if (ruleMatch.action === 'skip') {
+          console.log(`[PLAYWRIGHT] Skipping link (${ruleMatch.rule}): ${link.href}`);
+          skippedLinks.push({ url: link.href, text: link.text.substring(0, 80), rule: ruleMatch.rule });
+          continue;
+        }
+        
+        pendingChecks.push({
+          href: link.href,
+          isExternal,
+          result: checkLinkStatus(link.href, isExternal, linkCache, hostLimiter, ruleMatch.action === 'browser', browserFallback)
+        });
       } catch (error) {
         // Invalid URL, skip
         console.log(`[PLAYWRIGHT] Invalid URL: ${link.href}`);
       }
     }
     
-    await browser.close();
+    // Fragment links: same-page fragments are checked against this page's DOM,
+    // internal cross-page fragments by loading the target page (cached per run)
+    const pageWithoutHash = [pageUrl, loadedUrl].map(u => u.split('#')[0]);
+    const checkedFragments = new Set();
+    const pendingAnchorChecks = [];
+    
+    for (const link of links) {
+      if (!isCheckableLink(link.href) || checkedFragments.has(link.href)) continue;
+      checkedFragments.add(link.href);
+      
+      let linkUrl;
+      try {
+        linkUrl = new URL(link.href);
+      } catch {
+        continue;
+      }
+      
+      const fragment = getCheckableFragment(linkUrl);
+      if (!fragment) continue;
+      
+      const targetUrl = link.href.split('#')[0];
+      if (pageWithoutHash.includes(targetUrl)) {
+        if (!fragmentExists(fragment, anchorTargets)) {
+          brokenAnchors.push({ url: link.href, fragment, text: link.text, type: 'same-page' });
+        }
+      } else if (linkUrl.origin === baseUrl.origin) {
+        pendingAnchorChecks.push({
+          link,
+          fragment,
+          targetUrl,
+          result: linkCache.getOrCheck(`anchors:${targetUrl}`, () => loadAnchorTargets(targetUrl))
+        });
+      }
+    }
+    
+    // New-tab policy: documents are classified first, then internal vs external
+    const policyCheckedUrls = new Set();
+    for (const link of links) {
+      if (!isCheckableLink(link.href) || policyCheckedUrls.has(link.href)) continue;
+      policyCheckedUrls.add(link.href);
+      
+      let linkUrl;
+      try {
+        linkUrl = new URL(link.href);
+      } catch {
+        continue;
+      }
+      
+      let linkClass = linkUrl.origin !== baseUrl.origin ? 'external' : 'internal';
+      if (DOCUMENT_EXTENSIONS.test(linkUrl.pathname)) linkClass = 'documents';
+      
+      const rule = newTabPolicy[linkClass];
+      const newTab = opensNewTab(link.target);
+      const entry = { url: link.href, text: link.text.substring(0, 80), target: link.target };
+      if (rule === 'required' && !newTab) {
+        newTabIssues[`${linkClass}WithoutNewTab`].push(entry);
+      } else if (rule === 'forbidden' && newTab) {
+        newTabIssues[`${linkClass}OpeningNewTab`].push(entry);
+      }
+    }
+    // Clients disagree on new-tab behaviour, so the default policy only reports;
+    // it fails the check once a policy is configured for the request or project
+    const enforceNewTabPolicy = !!options.newTabPolicy && typeof options.newTabPolicy === 'object';
+    const missingNewTab = newTabIssues.externalWithoutNewTab.length +
+      newTabIssues.internalWithoutNewTab.length +
+      newTabIssues.documentsWithoutNewTab.length;
+    const unexpectedNewTab = newTabIssues.externalOpeningNewTab.length +
+      newTabIssues.internalOpeningNewTab.length +
+      newTabIssues.documentsOpeningNewTab.length;
+    
+    // Wait for all checks (run concurrently, throttled per host by the limiter)
+    const checkResults = await Promise.all(pendingChecks.map(check => check.result));
+    const anchorResults = await Promise.all(pendingAnchorChecks.map(check => check.result));
+    
+    // Soft 404s: internal HTML pages that answer 200 but show the site's "not found" page.
+    // The origin's 404 template is fingerprinted once per run by requesting a bogus URL.
+    const soft404Results = new Map(); // href -> soft-404 result
+    if (detectSoft404s) {
+      const candidates = [];
+      pendingChecks.forEach((check, index) => {
+        const result = checkResults[index];
+        if (check.isExternal || result.broken || result.redirectLoop) return;
+        try {
+          const finalUrl = new URL(result.finalUrl || check.href);
+          if (finalUrl.origin === baseUrl.origin && !DOCUMENT_EXTENSIONS.test(finalUrl.pathname)) {
+            finalUrl.hash = '';
+            candidates.push({ href: check.href, target: finalUrl.href });
+          }
+        } catch {
+          // Unparseable final URL, nothing to compare
+        }
+      });
+      
+      if (candidates.length > 0) {
+        const fingerprint = await linkCache.getOrCheck(
+          `soft404-fingerprint:${baseUrl.origin}`,
+          () => getSoft404Fingerprint(baseUrl.origin)
+        );
+        const soft404Checks = await Promise.all(candidates.map(({ target }) => linkCache.getOrCheck(
+          `soft404:${target}`,
+          () => hostLimiter.schedule(target, () => checkSoft404(target, fingerprint))
+        )));
+        candidates.forEach(({ href }, index) => {
+          if (soft404Checks[index].soft404) soft404Results.set(href, soft404Checks[index]);
+        });
+      }
+    }
+    
+    pendingAnchorChecks.forEach((check, index) => {
+      const result = anchorResults[index];
+      // An unreachable target is already reported as a broken link
+      if (result.broken) return;
+      if (!fragmentExists(check.fragment, result.targets)) {
+        brokenAnchors.push({ url: check.link.href, fragment: check.fragment, text: check.link.text, type: 'cross-page' });
+      }
+    });
+    
+    // Where each URL appears on the page (first occurrence, all regions, count)
+    const occurrencesByUrl = new Map();
+    for (const link of links) {
+      const entry = occurrencesByUrl.get(link.href);
+      if (entry) {
+        entry.occurrences++;
+        if (!entry.regions.includes(link.region)) entry.regions.push(link.region);
+        if (!entry.text && link.text) entry.text = link.text;
+      } else {
+        occurrencesByUrl.set(link.href, { first: link, text: link.text, occurrences: 1, regions: [link.region] });
+      }
+    }
+    
+    pendingChecks.forEach((check, index) => {
+      const result = checkResults[index];
+      const hops = result.hops || [];
+      
+      // Redirect findings (cached results from older runs may lack hops)
+      if (result.redirectLoop) {
+        redirectLoops.push({ url: check.href, hops });
+      } else if (hops.length > maxRedirectChain) {
+        longRedirectChains.push({ url: check.href, redirectCount: hops.length, finalUrl: result.finalUrl, hops });
+      }
+      if (!check.isExternal && hops.length > 0 && !result.redirectLoop) {
+        redirectedInternalLinks.push({ url: check.href, status: hops[0].status, finalUrl: result.finalUrl, hops });
+      }
+      if (result.httpsDowngrade) {
+        httpsDowngrades.push({ url: check.href, finalUrl: result.finalUrl, hops });
+      }
+      
+      if (result.reachableOnlyInBrowser) {
+        browserOnlyLinks.push({
+          url: check.href,
+          scope: check.isExternal ? 'external' : 'internal',
+          httpStatus: result.httpStatus,
+          httpError: result.httpError,
+          browserStatus: result.status
+        });
+      }
+      
+      const soft404 = soft404Results.get(check.href);
+      if (!result.broken && !soft404) return;
+      
+      const occurrence = occurrencesByUrl.get(check.href);
+      brokenLinkDetails.push({
+        url: check.href,
+        scope: check.isExternal ? 'external' : 'internal',
+        status: result.status || null,
+        errorClass: soft404 ? 'soft_404' : classifyLinkError(result),
+        error: soft404 ? soft404.reason : (result.error || null),
+        linkText: (occurrence?.text || '').substring(0, 120),
+        selector: occurrence?.first.selector || null,
+        xpath: occurrence?.first.xpath || null,
+        region: occurrence?.first.region || null,
+        regions: occurrence?.regions || [],
+        foundIn: occurrence?.first.foundIn || null,
+        container: occurrence?.first.container || null,
+        frameUrl: occurrence?.first.frameUrl || null,
+        occurrences: occurrence?.occurrences || 1,
+        finalUrl: result.finalUrl || check.href
+      });
+      
+      if (check.isExternal) {
+        brokenLinks.push(check.href);
+      } else {
+        console.log(`[PLAYWRIGHT] Broken internal link (${soft404 ? 'soft 404' : result.status || 'unreachable'}): ${check.href}`);
+        brokenInternalLinks.push(check.href);
+      }
+    });
     
     // Combine all broken links for overall status
     const allBrokenLinks = [...brokenLinks, ...brokenInternalLinks];
-    const overall = allBrokenLinks.length > 0 || missingNoopener > 0 ? 'FAIL' : 'PASS';
+    const overall = allBrokenLinks.length > 0 || brokenAnchors.length > 0 || brokenResources.count > 0 ||
+      contactLinks.invalidCount > 0 || missingNoopener > 0 || httpsDowngrades.length > 0 ||
+      (enforceNewTabPolicy && (missingNewTab > 0 || unexpectedNewTab > 0)) ? 'FAIL' : 'PASS';
     
     let issue = null;
     const issues = [];
     if (brokenInternalLinks.length > 0) {
-      issues.push(`${brokenInternalLinks.length} broken internal link${brokenInternalLinks.length !== 1 ? 's' : ''} found`);
+      const soft404Note = soft404Results.size > 0
+        ? ` (${soft404Results.size} return 200 but show a "page not found" page)`
+        : '';
+      issues.push(`${brokenInternalLinks.length} broken internal link${brokenInternalLinks.length !== 1 ? 's' : ''} found${soft404Note}`);
     }
     if (brokenLinks.length > 0) {
       issues.push(`${brokenLinks.length} broken external link${brokenLinks.length !== 1 ? 's' : ''} found`);
     }
+    if (brokenAnchors.length > 0) {
+      issues.push(`${brokenAnchors.length} link${brokenAnchors.length !== 1 ? 's point' : ' points'} to a missing #anchor`);
+    }
+    if (brokenResources.count > 0) {
+      const typeSummary = Object.entries(brokenResources.counts).map(([type, count]) => `${count} ${type}`).join(', ');
+      issues.push(`${brokenResources.count} broken page resource${brokenResources.count !== 1 ? 's' : ''} (${typeSummary})`);
+    }
+    if (contactLinks.issue) {
+      issues.push(contactLinks.issue);
+    }
     if (missingNoopener > 0) {
       issues.push(`${missingNoopener} external link${missingNoopener !== 1 ? 's are' : ' is'} missing noopener/noreferrer attributes, creating security vulnerability`);
     }
+    if (enforceNewTabPolicy && missingNewTab > 0) {
+      issues.push(`${missingNewTab} link${missingNewTab !== 1 ? 's' : ''} should open in a new tab but ${missingNewTab !== 1 ? 'do' : 'does'} not`);
+    }
+    if (enforceNewTabPolicy && unexpectedNewTab > 0) {
+      issues.push(`${unexpectedNewTab} link${unexpectedNewTab !== 1 ? 's open' : ' opens'} in a new tab against the new-tab policy`);
+    }
+    if (redirectLoops.length > 0) {
+      issues.push(`${redirectLoops.length} link${redirectLoops.length !== 1 ? 's' : ''} caught in a redirect loop`);
+    }
+    if (httpsDowngrades.length > 0) {
+      issues.push(`${httpsDowngrades.length} link${httpsDowngrades.length !== 1 ? 's redirect' : ' redirects'} from https to http`);
+    }
+    if (longRedirectChains.length > 0) {
+      issues.push(`${longRedirectChains.length} link${longRedirectChains.length !== 1 ? 's go' : ' goes'} through more than ${maxRedirectChain} redirects`);
+    }
+    if (browserOnlyLinks.length > 0) {
+      issues.push(`${browserOnlyLinks.length} link${browserOnlyLinks.length !== 1 ? 's' : ''} only reachable in a real browser (plain HTTP requests are blocked)`);
+    }
+    if (redirectedInternalLinks.length > 0) {
+      issues.push(`${redirectedInternalLinks.length} internal link${redirectedInternalLinks.length !== 1 ? 's redirect' : ' redirects'} (link to the final URL instead)`);
+    }
     if (issues.length > 0) {
       issue = issues.join('; ');
     }
@@ -298,62 +916,202 @@ async function checkPageLinks(pageUrl) {
       internalLinks,
       brokenExternalCount: brokenLinks.length,
       brokenInternalCount: brokenInternalLinks.length,
-      missingNoopener
+      soft404Count: soft404Results.size,
+      brokenAnchorCount: brokenAnchors.length,
+      brokenResourceCount: brokenResources.count,
+      invalidContactLinks: contactLinks.invalidCount,
+      missingNoopener,
+      missingNewTab,
+      unexpectedNewTab,
+      skippedLinks: skippedLinks.length,
+      browserOnlyLinks: browserOnlyLinks.length,
+      redirectLoops: redirectLoops.length,
+      longRedirectChains: longRedirectChains.length,
+      redirectedInternalLinks: redirectedInternalLinks.length,
+      httpsDowngrades: httpsDowngrades.length
     });
     
-    return {
+    const linkChecks = {
       overall,
       externalLinks,
       internalLinks,
       totalLinks: links.length,
-      brokenLinks: allBrokenLinks.slice(0, 10), // Limit to 10 URLs
+      viewport,
+      linkCollection,
+      brokenLinks: allBrokenLinks.slice(0, detailLimit), // Limit to 10 URLs unless fullDetail
+      brokenLinkDetails: brokenLinkDetails.slice(0, detailLimit),
       brokenCount: allBrokenLinks.length,
-      brokenExternalLinks: brokenLinks.slice(0, 10),
+      brokenExternalLinks: brokenLinks.slice(0, detailLimit),
       brokenExternalCount: brokenLinks.length,
-      brokenInternalLinks: brokenInternalLinks.slice(0, 10),
+      brokenInternalLinks: brokenInternalLinks.slice(0, detailLimit),
       brokenInternalCount: brokenInternalLinks.length,
+      soft404Count: soft404Results.size,
+      brokenAnchors: brokenAnchors.slice(0, detailLimit),
+      brokenAnchorCount: brokenAnchors.length,
+      brokenResources,
+      contactLinks,
       missingNoopener,
-      linksWithoutNoopener: linksWithoutNoopener.slice(0, 10), // Limit to 10 URLs
-      securityIssue: missingNoopener > 0,
+      linksWithoutNoopener: linksWithoutNoopener.slice(0, detailLimit),
+      skippedLinks: skippedLinks.slice(0, detailLimit),
+      skippedCount: skippedLinks.length,
+      browserOnlyLinks: browserOnlyLinks.slice(0, detailLimit),
+      browserOnlyCount: browserOnlyLinks.length,
+      redirectLoops: redirectLoops.slice(0, detailLimit),
+      redirectLoopCount: redirectLoops.length,
+      longRedirectChains: longRedirectChains.slice(0, detailLimit),
+      longRedirectChainCount: longRedirectChains.length,
+      maxRedirectChain,
+      redirectedInternalLinks: redirectedInternalLinks.slice(0, detailLimit),
+      redirectedInternalCount: redirectedInternalLinks.length,
+      httpsDowngrades: httpsDowngrades.slice(0, detailLimit),
+      httpsDowngradeCount: httpsDowngrades.length,
+      securityIssue: missingNoopener > 0 || httpsDowngrades.length > 0,
+      detailLimit: Number.isFinite(detailLimit) ? detailLimit : null,
       issue,
-      missingNewTab: 0 // Can be implemented later
+      missingNewTab,
+      unexpectedNewTab,
+      newTabPolicy,
+      newTabIssues: Object.fromEntries(
+        Object.entries(newTabIssues).map(([key, list]) => [key, list.slice(0, detailLimit)])
+      )
     };
+    
+    return { linkChecks, mixedContentChecks, environmentChecks };
   } catch (error) {
     console.error(`[PLAYWRIGHT] Error checking ${pageUrl}:`, error.message);
     
-    if (browser) {
-      await browser.close();
+    if (release) {
+      await release();
     }
     
-    return {
+    const linkChecks = {
       overall: 'ERROR',
       externalLinks: 0,
       internalLinks: 0,
       totalLinks: 0,
+      viewport,
+      linkCollection: null,
       brokenLinks: [],
+      brokenLinkDetails: [],
       brokenCount: 0,
       brokenExternalLinks: [],
       brokenExternalCount: 0,
       brokenInternalLinks: [],
       brokenInternalCount: 0,
+      soft404Count: 0,
+      brokenAnchors: [],
+      brokenAnchorCount: 0,
+      brokenResources: { count: 0, counts: {}, byType: {} },
+      contactLinks: {
+        status: 'ERROR',
+        issue: null,
+        total: 0,
+        counts: { mailto: 0, tel: 0, sms: 0 },
+        invalidCount: 0,
+        warningCount: 0,
+        mismatchCount: 0,
+        mxChecked: false,
+        findings: []
+      },
       missingNoopener: 0,
       linksWithoutNoopener: [],
+      skippedLinks: [],
+      skippedCount: 0,
+      browserOnlyLinks: [],
+      browserOnlyCount: 0,
+      redirectLoops: [],
+      redirectLoopCount: 0,
+      longRedirectChains: [],
+      longRedirectChainCount: 0,
+      maxRedirectChain,
+      redirectedInternalLinks: [],
+      redirectedInternalCount: 0,
+      httpsDowngrades: [],
+      httpsDowngradeCount: 0,
       securityIssue: false,
+      detailLimit: Number.isFinite(detailLimit) ? detailLimit : null,
       issue: `Error checking page: ${error.message}`,
-      missingNewTab: 0
+      missingNewTab: 0,
+      unexpectedNewTab: 0,
+      newTabPolicy,
+      newTabIssues: {
+        externalWithoutNewTab: [],
+        externalOpeningNewTab: [],
+        internalWithoutNewTab: [],
+        internalOpeningNewTab: [],
+        documentsWithoutNewTab: [],
+        documentsOpeningNewTab: []
+      }
     };
+    
+    const mixedContentChecks = {
+      status: 'ERROR',
+      issue: `Error checking page: ${error.message}`,
+      pageIsHttps: null,
+      activeCount: 0,
+      passiveCount: 0,
+      active: [],
+      passive: [],
+      insecureForms: [],
+      insecureInternalLinks: []
+    };
+    
+    const environmentChecks = {
+      status: 'ERROR',
+      issue: `Error checking page: ${error.message}`,
+      pageEnvironment: null,
+      stagingHost: null,
+      productionHost: null,
+      leakCount: 0,
+      counts: {},
+      findings: []
+    };
+    
+    return { linkChecks, mixedContentChecks, environmentChecks };
   }
 }
 
+/**
+ * Check all links on a given page
+ * @param {string} pageUrl - The URL to check
+ * @param {Object} options - See inspectPage
+ * @returns {Object} Link check results
+ */
+async function checkPageLinks(pageUrl, options = {}) {
+  const { linkChecks } = await inspectPage(pageUrl, options);
+  return linkChecks;
+}
+
 /**
  * Check links for multiple pages in parallel
+ * Link results are cached across all pages in the run, so shared header/footer
+ * links are only requested once.
  * @param {Array} pages - Array of page objects with url and pageName
  * @param {number} concurrency - Number of pages to check concurrently
  * @param {Function|null} onPageComplete - Optional callback(checkedCount, totalCount) called after each page finishes
+ * @param {Object} options - Link check options
+ * @param {number} options.hostConcurrency - Max concurrent requests per host
+ * @param {number} options.hostDelayMs - Minimum delay between requests to one host
+ * @param {number} options.maxRedirectChain - Report chains with more redirects than this
+ * @param {Object} options.newTabPolicy - New-tab policy (see inspectPage)
+ * @param {Object} options.linkRules - Link skip / force-check / browser rules (see linkRules.js)
+ * @param {number} options.detailLimit - Max entries per finding list
+ * @param {boolean} options.fullDetail - Return every entry in every finding list
+ * @param {boolean} options.soft404 - Detect internal links that return 200 but show a "not found" page
+ * @param {boolean} options.browserFallback - Re-check bot-blocked links in a real browser
+ * @param {Object} options.contactLinks - mailto:/tel:/sms: validation options ({ checkMx, mxResolver })
+ * @param {boolean} options.revealNavigation - Open hidden menus before collecting links
+ * @param {string} options.viewport - 'desktop' or 'mobile'
+ * @param {Object} options.environment - Staging / production URLs for the environment leakage check
  * @returns {Array} Array of results
  */
-async function checkMultiplePages(pages, concurrency = 1, onPageComplete = null) {
+async function checkMultiplePages(pages, concurrency = 1, onPageComplete = null, options = {}) {
   const results = [];
+  const linkCache = createLinkStatusCache();
+  const hostLimiter = createHostLimiter({
+    perHost: options.hostConcurrency,
+    delayMs: options.hostDelayMs
+  });
   
   // Process pages in batches
   for (let i = 0; i < pages.length; i += concurrency) {
@@ -363,11 +1121,27 @@ async function checkMultiplePages(pages, concurrency = 1, onPageComplete = null)
     
     const batchResults = await Promise.all(
       batch.map(async (page) => {
-        const linkChecks = await checkPageLinks(page.url);
+        const { linkChecks, mixedContentChecks, environmentChecks } = await inspectPage(page.url, {
+          linkCache,
+          hostLimiter,
+          maxRedirectChain: options.maxRedirectChain,
+          newTabPolicy: options.newTabPolicy,
+          linkRules: options.linkRules,
+          detailLimit: options.detailLimit,
+          fullDetail: options.fullDetail,
+          soft404: options.soft404,
+          browserFallback: options.browserFallback,
+          contactLinks: options.contactLinks,
+          revealNavigation: options.revealNavigation,
+          viewport: options.viewport,
+          environment: options.environment
+        });
         const result = {
           url: page.url,
           pageName: page.pageName,
-          linkChecks
+          linkChecks,
+          mixedContentChecks,
+          environmentChecks
         };
         return result;
       })
@@ -381,10 +1155,14 @@ async function checkMultiplePages(pages, concurrency = 1, onPageComplete = null)
     }
   }
   
+  await linkCache.save();
+  console.log(`[PLAYWRIGHT] Link cache stats:`, linkCache.stats());
+  
   return results;
 }
 
 module.exports = {
   checkPageLinks,
-  checkMultiplePages
+  checkMultiplePages,
+  extractPageLinks
 };
@@ -0,0 +1,346 @@
+// Caps keep the reveal step to a few seconds on very large menus
+const MAX_HOVER_TARGETS = 20;
+const MAX_CLICK_TARGETS = 30;
+const REVEAL_SETTLE_MS = 300;
+
+// Elements that usually open a navigation menu when clicked (hamburgers, dropdown toggles)
+const MENU_TOGGLE_SELECTORS = [
+  '.menu-toggle', '.navbar-toggler', '.nav-toggle', '.hamburger', '[class*="hamburger"]',
+  '[class*="menu-button"]', '[class*="menu-trigger"]', 'button[aria-label*="menu" i]',
+  '[aria-haspopup="true"]', '[aria-haspopup="menu"]',
+  'nav [aria-expanded="false"]', 'header [aria-expanded="false"]'
+];
+
+/**
+ * Record every anchor currently in the document (including open shadow roots) in a
+ * page-side registry. Runs in the browser. An anchor's foundIn is the source label of
+ * the first snapshot in which it was visible; anchors never visible end up "hidden".
+ * @param {{source: string, container: string, frameUrl: string|null}} args
+ * @returns {number} Number of anchors in the registry
+ */
+function snapshotLinks({ source, container, frameUrl }) {
+  const registry = window.__qaLinkRegistry || (window.__qaLinkRegistry = { records: [], byElement: new Map() });
+
+  function cssSelector(el) {
+    const parts = [];
+    let current = el;
+    while (current && current.nodeType === 1 && current !== document.documentElement) {
+      if (current.id && /^[A-Za-z][\w-]*$/.test(current.id)) {
+        parts.unshift(`#${current.id}`);
+        break;
+      }
+      let part = current.tagName.toLowerCase();
+      const parent = current.parentElement;
+      if (parent) {
+        const sameTag = Array.from(parent.children).filter(c => c.tagName === current.tagName);
+        if (sameTag.length > 1) part += `:nth-of-type(${sameTag.indexOf(current) + 1})`;
+      }
+      parts.unshift(part);
+      current = parent;
+    }
+    return parts.join(' > ');
+  }
+
+  function xpath(el) {
+    const parts = [];
+    let current = el;
+    while (current && current.nodeType === 1) {
+      const parent = current.parentElement;
+      let index = 1;
+      if (parent) {
+        const sameTag = Array.from(parent.children).filter(c => c.tagName === current.tagName);
+        index = sameTag.indexOf(current) + 1;
+      }
+      parts.unshift(`${current.tagName.toLowerCase()}[${index}]`);
+      current = parent;
+    }
+    return '/' + parts.join('/');
+  }
+
+  function region(el) {
+    if (el.closest('nav, [role="navigation"]')) return 'nav';
+    if (el.closest('header, [role="banner"]')) return 'header';
+    if (el.closest('footer, [role="contentinfo"]')) return 'footer';
+    if (el.closest('aside, [role="complementary"]')) return 'aside';
+    if (el.closest('main, [role="main"], article')) return 'main';
+    return 'body';
+  }
+
+  function isVisible(el) {
+    const rect = el.getBoundingClientRect();
+    if (rect.width === 0 || rect.height === 0) return false;
+    if (typeof el.checkVisibility === 'function') {
+      return el.checkVisibility({ checkOpacity: true, checkVisibilityCSS: true });
+    }
+    const style = getComputedStyle(el);
+    return style.visibility !== 'hidden' && style.display !== 'none';
+  }
+
+  // Walk the document and every open shadow root; hosts locate links inside shadow trees
+  function walk(root, hosts) {
+    root.querySelectorAll('a[href]').forEach(anchor => {
+      const visible = isVisible(anchor);
+      const existing = registry.byElement.get(anchor);
+      if (existing) {
+        if (!existing.foundIn && visible) existing.foundIn = source;
+        return;
+      }
+
+      // Shadow-tree links are described relative to their outermost host
+      const outer = hosts.length > 0 ? hosts[0] : anchor;
+      const innerPath = hosts.length > 0
+        ? [...hosts.slice(1), anchor].map(el => cssSelector(el)).join(' >>> ')
+        : null;
+
+      const record = {
+        href: anchor.href,
+        text: anchor.textContent?.trim() || '',
+        target: anchor.target || '',
+        rel: anchor.rel || '',
+        selector: innerPath ? `${cssSelector(outer)} >>> ${innerPath}` : cssSelector(anchor),
+        xpath: xpath(outer) + (innerPath ? '/#shadow-root' : ''),
+        region: hosts.length > 0 && region(anchor) === 'body' ? region(outer) : region(anchor),
+        foundIn: visible ? source : null,
+        container: hosts.length > 0 ? 'shadow-root' : container,
+        frameUrl
+      };
+      registry.byElement.set(anchor, record);
+      registry.records.push(record);
+    });
+
+    root.querySelectorAll('*').forEach(el => {
+      if (el.shadowRoot) walk(el.shadowRoot, [...hosts, el]);
+    });
+  }
+
+  walk(document, []);
+  return registry.records.length;
+}
+
+/**
+ * Read the page-side registry filled by snapshotLinks. Runs in the browser.
+ */
+function readLinkRegistry() {
+  const registry = window.__qaLinkRegistry;
+  if (!registry) return [];
+  return registry.records.map(record => ({ ...record, foundIn: record.foundIn || 'hidden' }));
+}
+
+/**
+ * Mark reveal candidates in the page and return their ids. Runs in the browser.
+ * Candidates already tried in an earlier round are skipped, so submenu toggles that
+ * only become visible after their parent menu opens are picked up in the next round.
+ * @param {{kind: string, menuSelectors: string[], limit: number}} args
+ * @returns {Array<{id: string, group: string}>}
+ */
+function markRevealTargets({ kind, menuSelectors, limit }) {
+  const counter = window.__qaRevealCounter || 0;
+  let next = counter;
+  const targets = [];
+
+  function isVisible(el) {
+    const rect = el.getBoundingClientRect();
+    if (rect.width === 0 || rect.height === 0) return false;
+    const style = getComputedStyle(el);
+    return style.visibility !== 'hidden' && style.display !== 'none';
+  }
+
+  function mark(el, group) {
+    if (targets.length >= limit || el.hasAttribute('data-qa-reveal') || !isVisible(el)) return;
+    const id = `qa-${next++}`;
+    el.setAttribute('data-qa-reveal', id);
+    targets.push({ id, group });
+  }
+
+  if (kind === 'hover') {
+    document.querySelectorAll('nav li, header li, [role="menubar"] > *').forEach(el => {
+      if (el.querySelector('ul, [role="menu"], [aria-haspopup]')) mark(el, 'hover-menu');
+    });
+  } else {
+    const menuToggles = new Set();
+    for (const selector of menuSelectors) {
+      try {
+        document.querySelectorAll(selector).forEach(el => menuToggles.add(el));
+      } catch {
+        // Selector not supported by this browser
+      }
+    }
+    menuToggles.forEach(el => mark(el, 'click-menu'));
+    // Remaining collapsed widgets outside the navigation are accordions / tabs
+    document.querySelectorAll('[aria-expanded="false"], .accordion-button.collapsed').forEach(el => mark(el, 'accordion'));
+  }
+
+  window.__qaRevealCounter = next;
+  return targets;
+}
+
+/**
+ * Open menus, accordions and <details> so links that only render or become visible
+ * after interaction are recorded. Clicks that would navigate are cancelled; if the page
+ * navigates anyway it is taken back and revealing stops.
+ * @param {import('playwright').Page} page - Page with an initial snapshotLinks taken
+ * @returns {Promise<{detailsOpened: number, menusHovered: number, menusClicked: number, accordionsExpanded: number, navigatedAway: boolean}>}
+ */
+async function revealHiddenNavigation(page) {
+  const summary = { detailsOpened: 0, menusHovered: 0, menusClicked: 0, accordionsExpanded: 0, navigatedAway: false };
+  const startUrl = page.url().split('#')[0];
+  const snapshot = (source) => page.evaluate(snapshotLinks, { source, container: 'document', frameUrl: null });
+
+  // Cancel link navigation and form submission while toggles are clicked
+  await page.evaluate(() => {
+    window.__qaRevealGuard = (event) => {
+      const anchor = event.target.closest && event.target.closest('a[href]');
+      if (anchor && !anchor.getAttribute('href').startsWith('#')) event.preventDefault();
+      if (event.target.closest && event.target.closest('form button, form input[type="submit"]')) event.preventDefault();
+    };
+    document.addEventListener('click', window.__qaRevealGuard, true);
+  });
+
+  // 1. <details> widgets, including ones inside open shadow roots
+  summary.detailsOpened = await page.evaluate(() => {
+    let opened = 0;
+    const open = (root) => {
+      root.querySelectorAll('details:not([open])').forEach(details => {
+        details.open = true;
+        opened++;
+      });
+      root.querySelectorAll('*').forEach(el => {
+        if (el.shadowRoot) open(el.shadowRoot);
+      });
+    };
+    open(document);
+    return opened;
+  });
+  if (summary.detailsOpened > 0) await snapshot('details');
+
+  const leftPage = async () => {
+    if (page.url().split('#')[0] === startUrl) return false;
+    console.log(`[LINK-COLLECTOR] Reveal step navigated to ${page.url()}, going back`);
+    summary.navigatedAway = true;
+    await page.goto(startUrl, { waitUntil: 'domcontentloaded' }).catch(() => {});
+    await snapshot('page').catch(() => {});
+    return true;
+  };
+
+  // 2. Hover menus (mega-menus rendered on mouseenter)
+  const hoverTargets = await page.evaluate(markRevealTargets, { kind: 'hover', menuSelectors: [], limit: MAX_HOVER_TARGETS });
+  for (const target of hoverTargets) {
+    try {
+      await page.locator(`[data-qa-reveal="${target.id}"]`).first().hover({ timeout: 1000 });
+      await page.waitForTimeout(REVEAL_SETTLE_MS);
+      await snapshot('hover-menu');
+      summary.menusHovered++;
+    } catch {
+      // Covered or detached; move on
+    }
+  }
+  await page.mouse.move(0, 0).catch(() => {});
+
+  // 3. Click toggles (hamburgers, dropdowns, accordions); two rounds for nested submenus
+  let clicks = 0;
+  for (let round = 0; round < 2 && clicks < MAX_CLICK_TARGETS && !summary.navigatedAway; round++) {
+    const clickTargets = await page.evaluate(markRevealTargets, {
+      kind: 'click',
+      menuSelectors: MENU_TOGGLE_SELECTORS,
+      limit: MAX_CLICK_TARGETS - clicks
+    });
+    if (clickTargets.length === 0) break;
+
+    for (const target of clickTargets) {
+      try {
+        await page.locator(`[data-qa-reveal="${target.id}"]`).first().click({ timeout: 1000 });
+        clicks++;
+        await page.waitForTimeout(REVEAL_SETTLE_MS);
+        if (await leftPage()) break;
+        await snapshot(target.group);
+        if (target.group === 'click-menu') summary.menusClicked++;
+        else summary.accordionsExpanded++;
+      } catch {
+        // Not clickable (covered by an overlay, hidden again); move on
+      }
+    }
+  }
+
+  await page.evaluate(() => {
+    document.removeEventListener('click', window.__qaRevealGuard, true);
+  }).catch(() => {});
+
+  return summary;
+}
+
+/**
+ * Collect every link on a loaded page: the top document, open shadow roots and
+ * same-origin iframes, after revealing hidden navigation. Each link is tagged with
+ * where it was found:
+ *   foundIn   - page | details | hover-menu | click-menu | accordion | hidden
+ *   container - document | shadow-root | iframe (frameUrl is set for iframes)
+ * @param {import('playwright').Page} page - Page that has finished navigating
+ * @param {Object} options
+ * @param {boolean} options.reveal - Open menus / accordions / details first (default: true)
+ * @returns {Promise<{links: Array<{href: string, text: string, target: string, rel: string, selector: string, xpath: string, region: string, foundIn: string, container: string, frameUrl: string|null}>, summary: Object}>}
+ */
+async function collectPageLinks(page, options = {}) {
+  const reveal = options.reveal !== false;
+
+  await page.evaluate(snapshotLinks, { source: 'page', container: 'document', frameUrl: null });
+
+  let revealed = null;
+  if (reveal) {
+    try {
+      revealed = await revealHiddenNavigation(page);
+    } catch (error) {
+      console.warn(`[LINK-COLLECTOR] Revealing hidden navigation failed:`, error.message);
+    }
+  }
+
+  const links = await page.evaluate(readLinkRegistry);
+
+  // Same-origin iframes (embedded widgets, legacy framesets); third-party frames are ignored
+  let pageOrigin = null;
+  try {
+    pageOrigin = new URL(page.url()).origin;
+  } catch {
+    // about:blank etc.
+  }
+  let framesScanned = 0;
+  for (const frame of page.frames()) {
+    if (frame === page.mainFrame()) continue;
+    let frameOrigin;
+    try {
+      frameOrigin = new URL(frame.url()).origin;
+    } catch {
+      continue;
+    }
+    if (frameOrigin !== pageOrigin) continue;
+
+    try {
+      await frame.evaluate(snapshotLinks, { source: 'page', container: 'iframe', frameUrl: frame.url() });
+      const frameLinks = await frame.evaluate(readLinkRegistry);
+      // Shadow roots inside the frame still count as iframe content
+      links.push(...frameLinks.map(link => ({ ...link, container: 'iframe', frameUrl: frame.url() })));
+      framesScanned++;
+    } catch (error) {
+      console.warn(`[LINK-COLLECTOR] Could not read links from frame ${frame.url()}:`, error.message);
+    }
+  }
+
+  const byFoundIn = {};
+  const byContainer = {};
+  for (const link of links) {
+    byFoundIn[link.foundIn] = (byFoundIn[link.foundIn] || 0) + 1;
+    byContainer[link.container] = (byContainer[link.container] || 0) + 1;
+  }
+
+  console.log(`[LINK-COLLECTOR] Collected ${links.length} links from ${page.url()}`, { byFoundIn, byContainer, framesScanned });
+
+  return {
+    links,
+    summary: { revealed, framesScanned, byFoundIn, byContainer }
+  };
+}
+
+module.exports = {
+  collectPageLinks,
+  revealHiddenNavigation,
+  MENU_TOGGLE_SELECTORS
+};
@@ -0,0 +1,102 @@
+const { findMatchingPattern } = require('./urlPatterns');
+
+// Rule presets. "social" is the default: these sites block automated requests
+// and return false positives, so their links are skipped unless opted back in.
+const LINK_RULE_PRESETS = {
+  social: {
+    skip: [
+      'instagram.com',
+      'facebook.com',
+      'fb.com',
+      'twitter.com',
+      'x.com',
+      'linkedin.com',
+      'tiktok.com',
+      'pinterest.com',
+      'snapchat.com',
+      'youtube.com',
+      'youtu.be',
+      'reddit.com',
+      'tumblr.com',
+      'discord.com',
+      'discord.gg',
+      'threads.net'
+    ],
+    forceCheck: [],
+    browserVerify: []
+  }
+};
+
+const DEFAULT_PRESETS = ['social'];
+
+/**
+ * Combine presets with per-request/per-project rules.
+ * Rule lists hold URL patterns (bare domain, glob, regex literal or substring; see urlPatterns.js).
+ * @param {Object} rules
+ * @param {string[]} rules.presets - Presets to apply (default: ['social']; [] disables them)
+ * @param {string[]} rules.skip - Links never checked (reported in skippedLinks)
+ * @param {string[]} rules.forceCheck - Links always checked, even if a skip rule or preset matches
+ * @param {string[]} rules.browserVerify - Links checked by loading them in a real browser
+ * @returns {{skip: Array, forceCheck: Array, browserVerify: Array}} Rules with their source labels
+ */
+function resolveLinkRules(rules = {}) {
+  const presets = Array.isArray(rules.presets) ? rules.presets : DEFAULT_PRESETS;
+  const resolved = { skip: [], forceCheck: [], browserVerify: [] };
+
+  for (const name of presets) {
+    const preset = LINK_RULE_PRESETS[name];
+    if (!preset) {
+      console.warn(`[LINK-RULES] Unknown preset ignored: ${name}`);
+      continue;
+    }
+    for (const list of Object.keys(resolved)) {
+      resolved[list].push(...preset[list].map(pattern => ({ pattern, source: `preset:${name}` })));
+    }
+  }
+
+  for (const list of Object.keys(resolved)) {
+    if (Array.isArray(rules[list])) {
+      resolved[list].push(...rules[list].map(pattern => ({ pattern, source: list })));
+    }
+  }
+
+  return resolved;
+}
+
+/**
+ * Find the first rule in a list matching the URL
+ */
+function matchRule(url, ruleList) {
+  const pattern = findMatchingPattern(url, ruleList.map(rule => rule.pattern));
+  if (pattern === null) return null;
+  const rule = ruleList.find(r => r.pattern === pattern);
+  return `${rule.source}:${pattern}`;
+}
+
+/**
+ * Decide how a link should be checked.
+ * forceCheck beats skip; browserVerify applies to links that are checked.
+ * @param {string} url - Link URL
+ * @param {Object} resolvedRules - From resolveLinkRules
+ * @returns {{action: 'check'|'skip'|'browser', rule: string|null}}
+ */
+function evaluateLinkRules(url, resolvedRules) {
+  const forced = matchRule(url, resolvedRules.forceCheck);
+  const skipped = forced ? null : matchRule(url, resolvedRules.skip);
+  if (skipped) {
+    return { action: 'skip', rule: skipped };
+  }
+
+  const browser = matchRule(url, resolvedRules.browserVerify);
+  if (browser) {
+    return { action: 'browser', rule: browser };
+  }
+
+  return { action: 'check', rule: forced };
+}
+
+module.exports = {
+  resolveLinkRules,
+  evaluateLinkRules,
+  LINK_RULE_PRESETS
+};
@@ -0,0 +1,229 @@
+const { installElementDescriber } = require('./elementDescriber');
+
+// Passive (display) content can only change what is shown; everything else is active
+const PASSIVE_TYPES = new Set(['image', 'media']);
+
+/**
+ * Classify a resource type or element tag as active or passive mixed content
+ * @param {string} type - Playwright resource type or element-derived type
+ * @returns {'active'|'passive'}
+ */
+function classifyMixedContent(type) {
+  return PASSIVE_TYPES.has(type) ? 'passive' : 'active';
+}
+
+/**
+ * Parse Chromium's "Mixed Content:" console messages.
+ * e.g. "Mixed Content: The page at 'https://a/' was loaded over HTTPS, but requested an
+ * insecure script 'http://b/x.js'. This request has been blocked; ..."
+ * @param {Array<{type: string, text: string}>} consoleMessages - From monitorNetwork
+ * @returns {Array<{url: string, kind: string, outcome: string}>}
+ */
+function parseMixedContentConsole(consoleMessages) {
+  const findings = [];
+  for (const { text } of consoleMessages) {
+    if (!text.startsWith('Mixed Content:')) continue;
+    const match = text.match(/requested an insecure ([\w\s-]+?) '([^']+)'/);
+    if (!match) continue;
+    let outcome = 'loaded';
+    if (/has been blocked/i.test(text)) outcome = 'blocked';
+    else if (/automatically upgraded/i.test(text)) outcome = 'upgraded';
+    findings.push({ url: match[2], kind: match[1].trim(), outcome });
+  }
+  return findings;
+}
+
+/**
+ * Map the "insecure <kind>" wording from Chromium to a resource type
+ */
+function kindToType(kind) {
+  if (/image|favicon/i.test(kind)) return 'image';
+  if (/video|audio|element/i.test(kind)) return 'media';
+  if (/stylesheet/i.test(kind)) return 'stylesheet';
+  if (/script/i.test(kind)) return 'script';
+  if (/frame/i.test(kind)) return 'iframe';
+  if (/font/i.test(kind)) return 'font';
+  if (/form/i.test(kind)) return 'form';
+  return 'xhr';
+}
+
+/**
+ * Detect mixed content on the loaded page.
+ * Combines requests made over http (loaded), Chromium console reports (blocked or
+ * auto-upgraded), http references in the DOM, http form actions, and http links
+ * to the page's own host.
+ * @param {import('playwright').Page} page - Loaded page (still open)
+ * @param {string} pageUrl - Final URL of the page
+ * @param {{records: Array, consoleMessages: Array}} network - From monitorNetwork
+ * @param {Object} options
+ * @param {number} options.detailLimit - Max entries listed per finding type (default: 10)
+ * @returns {Promise<Object>} Mixed content check result with its own status
+ */
+async function checkMixedContent(page, pageUrl, network, options = {}) {
+  const detailLimit = options.detailLimit || 10;
+
+  try {
+    const parsedPageUrl = new URL(pageUrl);
+    if (parsedPageUrl.protocol !== 'https:') {
+      return {
+        status: 'SKIPPED',
+        issue: null,
+        reason: 'Page is not served over HTTPS',
+        pageIsHttps: false,
+        activeCount: 0,
+        passiveCount: 0,
+        active: [],
+        passive: [],
+        insecureForms: [],
+        insecureInternalLinks: []
+      };
+    }
+
+    const findings = new Map(); // url -> finding
+
+    const addFinding = (url, type, outcome, element = null) => {
+      const existing = findings.get(url);
+      if (existing) {
+        // A blocked/upgraded report is more specific than a DOM reference
+        if (existing.outcome === 'referenced') existing.outcome = outcome;
+        if (!existing.element && element) existing.element = element;
+        return;
+      }
+      findings.set(url, { url, type, category: classifyMixedContent(type), outcome, element });
+    };
+
+    // 1. Requests that actually went out over http
+    for (const record of network.records) {
+      if (!record.url.startsWith('http:')) continue;
+      if (record.resourceType === 'document' && record.isMainFrame) continue;
+      const type = record.resourceType === 'document' ? 'iframe' : record.resourceType;
+      addFinding(record.url, type, record.failure ? 'blocked' : 'loaded');
+    }
+
+    // 2. Requests Chromium blocked or upgraded before they were sent
+    for (const report of parseMixedContentConsole(network.consoleMessages)) {
+      addFinding(report.url, kindToType(report.kind), report.outcome);
+    }
+
+    // 3. http references in the DOM (catches resources that were never requested)
+    await page.evaluate(installElementDescriber);
+    const dom = await page.evaluate((host) => {
+      const describe = window.__qaDescribe;
+
+      const references = [];
+      const sources = [
+        ['img', 'src', 'image'], ['img', 'srcset', 'image'], ['source', 'src', 'media'],
+        ['source', 'srcset', 'image'], ['video', 'src', 'media'], ['video', 'poster', 'image'],
+        ['audio', 'src', 'media'], ['script', 'src', 'script'], ['iframe', 'src', 'iframe'],
+        ['link[rel~="stylesheet"]', 'href', 'stylesheet'], ['object', 'data', 'object'],
+        ['embed', 'src', 'object']
+      ];
+      for (const [selector, attr, type] of sources) {
+        document.querySelectorAll(selector).forEach(el => {
+          const value = el.getAttribute(attr);
+          if (!value) return;
+          const candidates = attr === 'srcset'
+            ? value.split(',').map(part => part.trim().split(/\s+/)[0])
+            : [value];
+          for (const candidate of candidates) {
+            let url;
+            try {
+              url = new URL(candidate, document.baseURI).href;
+            } catch {
+              continue;
+            }
+            if (url.startsWith('http:')) {
+              references.push({ url, type, element: describe(el) });
+            }
+          }
+        });
+      }
+
+      const insecureForms = [];
+      document.querySelectorAll('form[action]').forEach(form => {
+        const action = form.action;
+        if (action && action.startsWith('http:')) {
+          insecureForms.push({ action, method: (form.method || 'get').toLowerCase(), element: describe(form) });
+        }
+      });
+
+      const insecureInternalLinks = [];
+      const seenLinks = new Set();
+      document.querySelectorAll('a[href]').forEach(a => {
+        if (!a.href.startsWith('http:') || seenLinks.has(a.href)) return;
+        try {
+          if (new URL(a.href).hostname !== host) return;
+        } catch {
+          return;
+        }
+        seenLinks.add(a.href);
+        insecureInternalLinks.push({ url: a.href, text: (a.textContent || '').trim().substring(0, 80) });
+      });
+
+      return { references, insecureForms, insecureInternalLinks };
+    }, parsedPageUrl.hostname);
+
+    for (const reference of dom.references) {
+      addFinding(reference.url, reference.type, 'referenced', reference.element);
+    }
+
+    const all = [...findings.values()];
+    const active = all.filter(f => f.category === 'active');
+    const passive = all.filter(f => f.category === 'passive');
+
+    const issues = [];
+    if (active.length > 0) {
+      issues.push(`${active.length} active mixed content resource${active.length !== 1 ? 's' : ''} (scripts, stylesheets, frames) requested over http`);
+    }
+    if (dom.insecureForms.length > 0) {
+      issues.push(`${dom.insecureForms.length} form${dom.insecureForms.length !== 1 ? 's submit' : ' submits'} to an http URL`);
+    }
+    if (passive.length > 0) {
+      issues.push(`${passive.length} passive mixed content resource${passive.length !== 1 ? 's' : ''} (images, media) requested over http`);
+    }
+    if (dom.insecureInternalLinks.length > 0) {
+      issues.push(`${dom.insecureInternalLinks.length} link${dom.insecureInternalLinks.length !== 1 ? 's' : ''} to this site use http instead of https`);
+    }
+
+    // Active content and insecure forms are security failures; passive content and http links are warnings
+    let status = 'PASS';
+    if (active.length > 0 || dom.insecureForms.length > 0) {
+      status = 'FAIL';
+    } else if (passive.length > 0 || dom.insecureInternalLinks.length > 0) {
+      status = 'WARNING';
+    }
+
+    console.log(`[MIXED-CONTENT] ${status} for ${pageUrl}: ${active.length} active, ${passive.length} passive, ${dom.insecureForms.length} forms, ${dom.insecureInternalLinks.length} http links`);
+
+    return {
+      status,
+      issue: issues.length > 0 ? issues.join('; ') : null,
+      pageIsHttps: true,
+      activeCount: active.length,
+      passiveCount: passive.length,
+      active: active.slice(0, detailLimit),
+      passive: passive.slice(0, detailLimit),
+      insecureForms: dom.insecureForms.slice(0, detailLimit),
+      insecureInternalLinks: dom.insecureInternalLinks.slice(0, detailLimit)
+    };
+  } catch (error) {
+    console.warn(`[MIXED-CONTENT] Check failed for ${pageUrl}:`, error.message);
+    return {
+      status: 'ERROR',
+      issue: `Mixed content check failed: ${error.message}`,
+      pageIsHttps: null,
+      activeCount: 0,
+      passiveCount: 0,
+      active: [],
+      passive: [],
+      insecureForms: [],
+      insecureInternalLinks: []
+    };
+  }
+}
+
+module.exports = {
+  checkMixedContent,
+  parseMixedContentConsole,
+  classifyMixedContent
+};
@@ -0,0 +1,354 @@
+const { MENU_TOGGLE_SELECTORS } = require('./linkCollector');
+
+// Hamburger buttons first; the generic menu toggles from link collection are the fallback
+const HAMBURGER_SELECTORS = [
+  '[class*="hamburger"]', '.menu-toggle', '.navbar-toggler', '.nav-toggle', '.mobile-menu-toggle',
+  '[class*="menu-toggle"]', '[class*="nav-toggle"]', '[class*="burger"]',
+  'button[aria-label*="menu" i]', '[role="button"][aria-label*="menu" i]', 'button[aria-controls][aria-expanded]',
+  ...MENU_TOGGLE_SELECTORS
+];
+// Buttons inside an open menu that close it
+const CLOSE_SELECTORS = ['[aria-label*="close" i]', '[class*="close"]', '[class*="dismiss"]'];
+// Time for slide-in and fade animations to finish
+const MENU_SETTLE_MS = 600;
+// Same minimum as the responsiveness touch-target check
+const MIN_TAP_SIZE = 44;
+// Menu items listed in the result
+const MENU_ITEM_LIMIT = 30;
+
+/**
+ * Install window.__qaMenu, the in-page half of the menu test. Runs in the browser.
+ * Links are snapshotted before the toggle is clicked; menu items are the links that
+ * become visible afterwards (or that sit in the element named by aria-controls).
+ */
+function installMenuProbe() {
+  if (window.__qaMenu) return;
+
+  const shownBefore = new WeakMap();
+  let items = [];
+  let menu = null;
+
+  function cssSelector(el) {
+    const parts = [];
+    let current = el;
+    while (current && current.nodeType === 1 && current !== document.documentElement) {
+      if (current.id && /^[A-Za-z][\w-]*$/.test(current.id)) {
+        parts.unshift(`#${current.id}`);
+        break;
+      }
+      let part = current.tagName.toLowerCase();
+      const parent = current.parentElement;
+      if (parent) {
+        const sameTag = Array.from(parent.children).filter(c => c.tagName === current.tagName);
+        if (sameTag.length > 1) part += `:nth-of-type(${sameTag.indexOf(current) + 1})`;
+      }
+      parts.unshift(part);
+      current = parent;
+    }
+    return parts.join(' > ');
+  }
+
+  function isShown(el) {
+    const rect = el.getBoundingClientRect();
+    if (rect.width === 0 || rect.height === 0) return false;
+    if (rect.right <= 0 || rect.bottom <= 0 || rect.left >= window.innerWidth) return false;
+    for (let current = el; current && current.nodeType === 1; current = current.parentElement) {
+      const style = getComputedStyle(current);
+      if (style.display === 'none' || style.visibility === 'hidden' || parseFloat(style.opacity) === 0) return false;
+    }
+    return true;
+  }
+
+  // Whether a tap at the element's centre reaches it (not covered by an overlay or header)
+  function isReachable(el) {
+    const rect = el.getBoundingClientRect();
+    const x = rect.left + rect.width / 2;
+    const y = rect.top + rect.height / 2;
+    if (x < 0 || y < 0 || x >= window.innerWidth || y >= window.innerHeight) return null;
+    const hit = document.elementFromPoint(x, y);
+    return !!hit && (hit === el || el.contains(hit) || hit.contains(el));
+  }
+
+  // Long menus are fine below the fold if the menu or the page can scroll to them
+  function canScrollTo(el) {
+    for (let current = el.parentElement; current && current !== document.body; current = current.parentElement) {
+      const style = getComputedStyle(current);
+      if (/(auto|scroll)/.test(style.overflowY) && current.scrollHeight > current.clientHeight) return true;
+      if (style.position === 'fixed') return false;
+    }
+    return document.documentElement.scrollHeight > window.innerHeight;
+  }
+
+  function toggleElement() {
+    return document.querySelector('[data-qa-menu-toggle]');
+  }
+
+  window.__qaMenu = {
+    findToggle(selectors, customSelector) {
+      const candidates = customSelector ? [customSelector] : selectors;
+      for (const selector of candidates) {
+        let matches = [];
+        try {
+          matches = Array.from(document.querySelectorAll(selector));
+        } catch {
+          continue;
+        }
+        // A hamburger sits in the header area and is icon-sized
+        const el = matches.find(candidate => {
+          if (!isShown(candidate) || candidate.closest('footer')) return false;
+          const rect = candidate.getBoundingClientRect();
+          return customSelector || (rect.top < window.innerHeight * 0.4 && rect.width <= 200 && rect.height <= 120);
+        });
+        if (el) {
+          el.setAttribute('data-qa-menu-toggle', '');
+          const rect = el.getBoundingClientRect();
+          return {
+            selector: cssSelector(el),
+            matchedBy: selector,
+            label: (el.getAttribute('aria-label') || el.innerText || el.getAttribute('title') || '').trim().replace(/\s+/g, ' ').substring(0, 60),
+            box: { x: Math.round(rect.left), y: Math.round(rect.top), width: Math.round(rect.width), height: Math.round(rect.height) },
+            ariaControls: el.getAttribute('aria-controls')
+          };
+        }
+      }
+      return null;
+    },
+
+    hasVisibleNavigation() {
+      return Array.from(document.querySelectorAll('nav a[href], [role="navigation"] a[href]')).filter(isShown).length >= 3;
+    },
+
+    snapshotLinks() {
+      const links = document.querySelectorAll('a[href], [role="menuitem"]');
+      for (const link of links) shownBefore.set(link, isShown(link));
+      return links.length;
+    },
+
+    toggleState() {
+      const el = toggleElement();
+      if (!el) return { present: false, shown: false, reachable: false, ariaExpanded: null };
+      return {
+        present: true,
+        shown: isShown(el),
+        reachable: isShown(el) && isReachable(el) === true,
+        ariaExpanded: el.getAttribute('aria-expanded')
+      };
+    },
+
+    inspectOpenMenu(ariaControls, minTapSize) {
+      const controlled = ariaControls ? document.getElementById(ariaControls) : null;
+      items = Array.from(document.querySelectorAll('a[href], [role="menuitem"]')).filter(link => {
+        if (!isShown(link)) return false;
+        if (controlled && controlled.contains(link)) return true;
+        return shownBefore.get(link) === false;
+      });
+
+      // The menu is the controlled element, or the closest element holding every item
+      menu = controlled;
+      if (!menu && items.length > 0) {
+        menu = items[0].parentElement;
+        while (menu && menu !== document.body && !items.every(item => menu.contains(item))) menu = menu.parentElement;
+      }
+
+      const described = items.map(link => {
+        const rect = link.getBoundingClientRect();
+        const horizontallyInside = rect.left >= -1 && rect.right <= window.innerWidth + 1;
+        const verticallyInside = rect.top >= -1 && (rect.bottom <= window.innerHeight + 1 || canScrollTo(link));
+        const reachable = isReachable(link);
+        const largeEnough = rect.width >= minTapSize && rect.height >= minTapSize;
+        return {
+          selector: cssSelector(link),
+          text: (link.innerText || link.getAttribute('aria-label') || '').trim().replace(/\s+/g, ' ').substring(0, 60),
+          href: link.getAttribute('href'),
+          box: { x: Math.round(rect.left), y: Math.round(rect.top), width: Math.round(rect.width), height: Math.round(rect.height) },
+          withinViewport: horizontallyInside && verticallyInside,
+          covered: reachable === false,
+          largeEnough,
+          tappable: largeEnough && reachable !== false
+        };
+      });
+
+      return { menuSelector: menu && menu !== document.body ? cssSelector(menu) : null, items: described };
+    },
+
+    // Mark a visible close button inside the open menu for clicking
+    findCloseButton(selectors) {
+      if (!menu) return null;
+      for (const selector of selectors) {
+        const el = Array.from(menu.querySelectorAll(selector)).find(candidate =>
+          isShown(candidate) && !candidate.matches('a[href]:not([href^="#"])') && isReachable(candidate));
+        if (el) {
+          el.setAttribute('data-qa-menu-close', '');
+          return cssSelector(el);
+        }
+      }
+      return null;
+    },
+
+    visibleItemCount() {
+      return items.filter(isShown).length;
+    }
+  };
+}
+
+/**
+ * Close the open menu: with the toggle itself, then a close button inside the menu, then Escape
+ * @returns {Promise<string|null>} 'toggle' | 'close-button' | 'escape', or null when the menu stays open
+ */
+async function closeMenu(page) {
+  const isClosed = async () => {
+    await page.waitForTimeout(MENU_SETTLE_MS);
+    return (await page.evaluate(() => window.__qaMenu.visibleItemCount())) === 0;
+  };
+
+  const toggle = await page.evaluate(() => window.__qaMenu.toggleState());
+  if (toggle.reachable) {
+    await page.locator('[data-qa-menu-toggle]').first().click({ timeout: 2000 }).catch(() => {});
+    if (await isClosed()) return 'toggle';
+  }
+
+  const closeSelector = await page.evaluate(selectors => window.__qaMenu.findCloseButton(selectors), CLOSE_SELECTORS);
+  if (closeSelector) {
+    await page.locator('[data-qa-menu-close]').first().click({ timeout: 2000 }).catch(() => {});
+    if (await isClosed()) return 'close-button';
+  }
+
+  await page.keyboard.press('Escape');
+  if (await isClosed()) return 'escape';
+  return null;
+}
+
+/**
+ * Open the mobile navigation menu, screenshot it, check its items and close it again.
+ * Runs on a page already loaded at a mobile viewport; the page is left with the menu
+ * closed (or as the test left it when closing fails).
+ * Clicks that would navigate away are cancelled while the menu is tested.
+ * @param {import('playwright').Page} page - Loaded page at a mobile viewport
+ * @param {Object} options
+ * @param {string} options.toggleSelector - Menu toggle to use instead of auto-detection
+ * @param {number} options.quality - JPEG quality of the open-menu screenshot (default: 70)
+ * @returns {Promise<Object>} Test result with status PASS | WARNING | FAIL | SKIPPED | ERROR
+ */
+async function testMobileMenu(page, options = {}) {
+  const quality = options.quality || 70;
+  const result = {
+    status: 'PASS',
+    issue: null,
+    issues: [],
+    toggle: null,
+    ariaExpanded: { before: null, afterOpen: null, afterClose: null },
+    opened: false,
+    menuSelector: null,
+    itemCount: 0,
+    items: [],
+    closed: false,
+    closedBy: null,
+    screenshot: null,
+    mimeType: null
+  };
+  const startUrl = page.url().split('#')[0];
+
+  try {
+    await page.evaluate(() => window.scrollTo(0, 0));
+    await page.evaluate(installMenuProbe);
+    result.toggle = await page.evaluate(
+      ({ selectors, customSelector }) => window.__qaMenu.findToggle(selectors, customSelector),
+      { selectors: HAMBURGER_SELECTORS, customSelector: options.toggleSelector || null }
+    );
+
+    if (!result.toggle) {
+      const visibleNav = await page.evaluate(() => window.__qaMenu.hasVisibleNavigation());
+      result.status = visibleNav ? 'SKIPPED' : 'WARNING';
+      result.issue = visibleNav
+        ? 'No menu toggle found; navigation links are shown without one'
+        : (options.toggleSelector ? `Menu toggle "${options.toggleSelector}" not found or not visible` : 'No menu toggle or visible navigation found');
+      console.log(`[MOBILE-MENU] ${result.status}: ${result.issue}`);
+      return result;
+    }
+
+    console.log(`[MOBILE-MENU] Testing menu toggle ${result.toggle.selector} (matched ${result.toggle.matchedBy})`);
+
+    // Cancel link navigation while the toggle and close buttons are clicked
+    await page.evaluate(() => {
+      window.__qaMenuGuard = (event) => {
+        const anchor = event.target.closest && event.target.closest('a[href]');
+        if (anchor && !anchor.getAttribute('href').startsWith('#')) event.preventDefault();
+      };
+      document.addEventListener('click', window.__qaMenuGuard, true);
+    });
+
+    await page.evaluate(() => window.__qaMenu.snapshotLinks());
+    result.ariaExpanded.before = (await page.evaluate(() => window.__qaMenu.toggleState())).ariaExpanded;
+
+    // 1. Open
+    await page.locator('[data-qa-menu-toggle]').first().click({ timeout: 2000 });
+    await page.waitForTimeout(MENU_SETTLE_MS);
+    if (page.url().split('#')[0] !== startUrl) {
+      throw new Error(`Clicking the menu toggle navigated to ${page.url()}`);
+    }
+
+    result.ariaExpanded.afterOpen = (await page.evaluate(() => window.__qaMenu.toggleState())).ariaExpanded;
+    const menu = await page.evaluate(
+      ({ controls, minTapSize }) => window.__qaMenu.inspectOpenMenu(controls, minTapSize),
+      { controls: result.toggle.ariaControls, minTapSize: MIN_TAP_SIZE }
+    );
+    result.menuSelector = menu.menuSelector;
+    result.itemCount = menu.items.length;
+    result.items = menu.items.slice(0, MENU_ITEM_LIMIT);
+    result.opened = menu.items.length > 0;
+    result.screenshot = await page.screenshot({ type: 'jpeg', quality });
+    result.mimeType = 'image/jpeg';
+
+    if (!result.opened) {
+      result.issues.push('Clicking the menu toggle did not show any menu items');
+    } else {
+      const outside = menu.items.filter(item => !item.withinViewport);
+      const covered = menu.items.filter(item => item.covered);
+      const small = menu.items.filter(item => !item.largeEnough);
+      if (outside.length > 0) result.issues.push(`${outside.length} menu item(s) extend outside the viewport`);
+      if (covered.length > 0) result.issues.push(`${covered.length} menu item(s) are covered by other elements`);
+      if (small.length > 0) result.issues.push(`${small.length} menu item(s) are smaller than ${MIN_TAP_SIZE}x${MIN_TAP_SIZE}px`);
+
+      // 2. Close
+      result.closedBy = await closeMenu(page);
+      result.closed = result.closedBy !== null;
+      result.ariaExpanded.afterClose = (await page.evaluate(() => window.__qaMenu.toggleState())).ariaExpanded;
+
+      if (!result.closed) result.issues.push('The menu could not be closed again');
+    }
+
+    // aria-expanded must report the menu state to screen readers
+    const { before, afterOpen, afterClose } = result.ariaExpanded;
+    let ariaWarning = null;
+    if (before === null && afterOpen === null) {
+      ariaWarning = 'Menu toggle has no aria-expanded attribute';
+    } else if (result.opened && (before !== 'false' || afterOpen !== 'true')) {
+      result.issues.push(`aria-expanded does not switch to "true" when the menu opens (before: ${before}, after: ${afterOpen})`);
+    } else if (result.closed && afterClose !== 'false') {
+      result.issues.push(`aria-expanded is "${afterClose}" after the menu closes`);
+    }
+
+    if (result.issues.length > 0) result.status = 'FAIL';
+    else if (ariaWarning) result.status = 'WARNING';
+    if (ariaWarning) result.issues.push(ariaWarning);
+    result.issue = result.issues.length > 0 ? result.issues.join('; ') : null;
+
+    console.log(`[MOBILE-MENU] ${result.status}: ${result.itemCount} menu item(s), closed by ${result.closedBy || 'nothing'}`);
+  } catch (error) {
+    console.warn('[MOBILE-MENU] Menu test failed:', error.message);
+    result.status = 'ERROR';
+    result.issue = `Mobile menu test failed: ${error.message}`;
+  }
+
+  await page.evaluate(() => {
+    if (window.__qaMenuGuard) document.removeEventListener('click', window.__qaMenuGuard, true);
+  }).catch(() => {});
+
+  return result;
+}
+
+module.exports = {
+  testMobileMenu,
+  installMenuProbe,
+  HAMBURGER_SELECTORS
+};
@@ -0,0 +1,170 @@
+const { installElementDescriber } = require('./elementDescriber');
+
+// Playwright resource types reported as broken sub-resources.
+// Sub-frame documents are reported as "iframe"; the main document is the page itself.
+const RESOURCE_TYPE_GROUPS = {
+  image: 'image',
+  script: 'script',
+  stylesheet: 'stylesheet',
+  font: 'font',
+  media: 'media',
+  document: 'iframe'
+};
+
+/**
+ * Record every network request a page makes, plus browser console warnings/errors
+ * (Chromium reports blocked and auto-upgraded mixed content there).
+ * Must be attached before page.goto so the initial load is captured.
+ * @param {import('playwright').Page} page - Page to monitor
+ * @returns {{records: Array<{url: string, resourceType: string, isMainFrame: boolean, isNavigation: boolean, referrer: string|null, status: number|null, failure: string|null}>, consoleMessages: Array<{type: string, text: string}>}}
+ */
+function monitorNetwork(page) {
+  const records = [];
+  const consoleMessages = [];
+  const byRequest = new Map();
+
+  page.on('console', message => {
+    const type = message.type();
+    if (type === 'warning' || type === 'error') {
+      consoleMessages.push({ type, text: message.text() });
+    }
+  });
+
+  page.on('request', request => {
+    let isMainFrame = false;
+    try {
+      isMainFrame = request.frame() === page.mainFrame();
+    } catch {
+      // Service worker requests have no frame
+    }
+    const record = {
+      url: request.url(),
+      resourceType: request.resourceType(),
+      isMainFrame,
+      isNavigation: request.isNavigationRequest(),
+      referrer: request.headers()['referer'] || null,
+      status: null,
+      failure: null
+    };
+    byRequest.set(request, record);
+    records.push(record);
+  });
+
+  page.on('response', response => {
+    const record = byRequest.get(response.request());
+    if (record) record.status = response.status();
+  });
+
+  page.on('requestfailed', request => {
+    const record = byRequest.get(request);
+    if (record) record.failure = request.failure()?.errorText || 'Request failed';
+  });
+
+  return { records, consoleMessages };
+}
+
+/**
+ * Find sub-resources that failed to load or returned 4xx/5xx, plus <img>
+ * elements that rendered without image data (naturalWidth === 0).
+ * The initiating element is looked up in the DOM by URL where possible;
+ * resources loaded from CSS (fonts, backgrounds) report the referring stylesheet instead.
+ * @param {import('playwright').Page} page - Loaded page (still open)
+ * @param {Array} records - Records from monitorNetwork
+ * @param {number} limit - Max entries listed per resource type (default: 10)
+ * @returns {Promise<{count: number, counts: Object, byType: Object}>}
+ */
+async function findBrokenResources(page, records, limit = 10) {
+  const failed = [];
+  const seen = new Set();
+
+  for (const record of records) {
+    const type = RESOURCE_TYPE_GROUPS[record.resourceType];
+    if (!type) continue;
+    if (record.resourceType === 'document' && record.isMainFrame) continue;
+    if (record.url.startsWith('data:') || seen.has(record.url)) continue;
+
+    // ERR_ABORTED is a cancelled request (navigation, lazy loader swap), not a broken resource
+    const isFailure = record.failure && record.failure !== 'net::ERR_ABORTED';
+    const isErrorStatus = record.status !== null && record.status >= 400;
+    if (!isFailure && !isErrorStatus) continue;
+
+    seen.add(record.url);
+    failed.push({
+      url: record.url,
+      type,
+      status: record.status,
+      error: isFailure ? record.failure : null,
+      referrer: record.referrer
+    });
+  }
+
+  await page.evaluate(installElementDescriber);
+  const dom = await page.evaluate((failedUrls) => {
+    const describe = window.__qaDescribe;
+
+    const wanted = new Set(failedUrls);
+    const elements = {};
+    const sourceAttrs = [
+      ['img', 'currentSrc'], ['img', 'src'], ['script', 'src'], ['iframe', 'src'],
+      ['link', 'href'], ['source', 'src'], ['video', 'src'], ['audio', 'src'],
+      ['embed', 'src'], ['object', 'data']
+    ];
+    for (const [tag, prop] of sourceAttrs) {
+      document.querySelectorAll(tag).forEach(el => {
+        const url = el[prop];
+        if (url && wanted.has(url) && !elements[url]) {
+          elements[url] = describe(el);
+        }
+      });
+    }
+
+    const emptyImages = [];
+    document.querySelectorAll('img').forEach(img => {
+      const src = img.currentSrc || img.src;
+      if (!src || src.startsWith('data:')) return;
+      if (img.complete && img.naturalWidth === 0) {
+        emptyImages.push({ url: src, element: describe(img), alt: img.alt || '' });
+      }
+    });
+
+    return { elements, emptyImages };
+  }, failed.map(r => r.url));
+
+  for (const resource of failed) {
+    resource.element = dom.elements[resource.url] || null;
+  }
+
+  // Images that loaded without data but were not caught by a failed request
+  for (const image of dom.emptyImages) {
+    if (seen.has(image.url)) continue;
+    seen.add(image.url);
+    failed.push({
+      url: image.url,
+      type: 'image',
+      status: null,
+      error: 'Image rendered with no data (naturalWidth is 0)',
+      referrer: null,
+      element: image.element
+    });
+  }
+
+  const byType = {};
+  const counts = {};
+  for (const resource of failed) {
+    if (!byType[resource.type]) {
+      byType[resource.type] = [];
+      counts[resource.type] = 0;
+    }
+    counts[resource.type]++;
+    if (byType[resource.type].length < limit) {
+      byType[resource.type].push(resource);
+    }
+  }
+
+  return { count: failed.length, counts, byType };
+}
+
+module.exports = {
+  monitorNetwork,
+  findBrokenResources
+};
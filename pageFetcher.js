@@ -1,4 +1,4 @@
-const { chromium } = require('playwright');
+const { acquirePage } = require('./browserPool');
 
 /**
  * Fetch page HTML via Playwright (includes JS-rendered content)
@@ -6,37 +6,16 @@ const { chromium } = require('playwright');
  * @returns {Object} { html, statusCode, headers }
  */
 async function fetchPage(pageUrl) {
-  let browser;
+  let release;
 
   try {
     console.log(`[PLAYWRIGHT] Fetching page: ${pageUrl}`);
 
-    browser = await chromium.launch({
-      headless: true,
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',    // Don't use /dev/shm (limited on containers)
-        '--disable-gpu',               // Disable GPU (not needed)
-        '--single-process',            // Use single process (saves memory)
-        '--no-zygote',                 // Disable zygote process
-        '--disable-extensions',        // Disable extensions
-        '--disable-background-networking',
-        '--disable-default-apps',
-        '--disable-sync',
-        '--disable-translate',
-        '--metrics-recording-only',
-        '--mute-audio',
-        '--no-first-run',
-        '--safebrowsing-disable-auto-update'
-      ]
-    });
-
-    const context = await browser.newContext({
+    const acquired = await acquirePage({
       userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
     });
-
-    const page = await context.newPage();
+    release = acquired.release;
+    const page = acquired.page;
 
     // Use 'load' instead of 'networkidle' - more reliable for page fetching
     // networkidle can timeout on sites with analytics/ads that never stop making requests
@@ -58,7 +37,7 @@ async function fetchPage(pageUrl) {
 
     const html = await page.content();
 
-    await browser.close();
+    await release();
 
     console.log(`[PLAYWRIGHT] Fetched ${pageUrl} - Status: ${statusCode}, HTML length: ${html.length}`);
 
@@ -70,8 +49,8 @@ async function fetchPage(pageUrl) {
   } catch (error) {
     console.error(`[PLAYWRIGHT] Error fetching ${pageUrl}:`, error.message);
 
-    if (browser) {
-      await browser.close();
+    if (release) {
+      await release();
     }
 
     throw error;
@@ -0,0 +1,328 @@
+// Time allowed for a clicked banner to animate away before falling back to hiding it
+const DISMISS_SETTLE_MS = 1500;
+
+// Button labels that accept a generic cookie notice or close a generic modal
+const ACCEPT_TEXT = /^\s*(accept( all)?( cookies)?|allow( all)?( cookies)?|agree|i agree|i accept|got it|ok(ay)?|understood|continue)\s*$/i;
+const CLOSE_TEXT = /^\s*(×|✕|x|close|no,? thanks|not now|maybe later|dismiss)\s*$/i;
+
+/**
+ * Rule library for consent managers, generic modals and chat widgets.
+ * Each rule has:
+ *   detect  - selector for the visible container (first match is used)
+ *   click   - selectors tried in order; the first visible one is clicked
+ *   text    - button label pattern searched inside the container when no click selector matches
+ *   hide    - selectors hidden with display:none when clicking is impossible or did not work
+ * Chat widgets have no click step; they are always hidden.
+ */
+const POPUP_RULES = [
+  {
+    name: 'onetrust',
+    category: 'consent',
+    detect: '#onetrust-banner-sdk',
+    click: ['#onetrust-accept-btn-handler', '#accept-recommended-btn-handler'],
+    hide: ['#onetrust-consent-sdk']
+  },
+  {
+    name: 'cookiebot',
+    category: 'consent',
+    detect: '#CybotCookiebotDialog',
+    click: [
+      '#CybotCookiebotDialogBodyLevelButtonLevelOptinAllowAll',
+      '#CybotCookiebotDialogBodyButtonAccept',
+      '#CybotCookiebotDialogBodyLevelButtonAccept'
+    ],
+    hide: ['#CybotCookiebotDialog', '#CybotCookiebotDialogBodyUnderlay']
+  },
+  {
+    name: 'cookieyes',
+    category: 'consent',
+    detect: '.cky-consent-container, #cookie-law-info-bar',
+    click: ['.cky-btn-accept', '#cookie_action_close_header', '#wt-cli-accept-all-btn'],
+    hide: ['.cky-consent-container', '.cky-overlay', '#cookie-law-info-bar']
+  },
+  {
+    name: 'complianz',
+    category: 'consent',
+    detect: '.cmplz-cookiebanner:not(.cmplz-hidden), #cmplz-cookiebanner-container .cc-window',
+    click: ['.cmplz-cookiebanner .cmplz-accept', '.cc-window .cc-allow', '.cc-window .cc-dismiss'],
+    hide: ['#cmplz-cookiebanner-container', '.cmplz-cookiebanner']
+  },
+  {
+    name: 'borlabs',
+    category: 'consent',
+    detect: '#BorlabsCookieBox ._brlbs-block-content, #BorlabsCookieBox .brlbs-cmpnt-dialog',
+    click: ['#BorlabsCookieBox [data-cookie-accept]', '#BorlabsCookieBox ._brlbs-btn-accept-all', '#BorlabsCookieBox .brlbs-btn-accept-all'],
+    hide: ['#BorlabsCookieBox']
+  },
+  {
+    name: 'usercentrics',
+    category: 'consent',
+    detect: '#usercentrics-root [data-testid="uc-default-banner"], #usercentrics-cmp-ui',
+    click: ['[data-testid="uc-accept-all-button"]', '#accept'],
+    hide: ['#usercentrics-root', '#usercentrics-cmp-ui']
+  },
+  {
+    name: 'didomi',
+    category: 'consent',
+    detect: '#didomi-notice, #didomi-popup',
+    click: ['#didomi-notice-agree-button'],
+    hide: ['#didomi-host']
+  },
+  {
+    name: 'osano',
+    category: 'consent',
+    detect: '.osano-cm-dialog:not(.osano-cm-dialog--hidden)',
+    click: ['.osano-cm-accept-all', '.osano-cm-accept'],
+    hide: ['.osano-cm-window']
+  },
+  {
+    name: 'quantcast',
+    category: 'consent',
+    detect: '.qc-cmp2-container',
+    click: ['.qc-cmp2-summary-buttons button[mode="primary"]'],
+    hide: ['.qc-cmp2-container', '#qc-cmp2-container']
+  },
+  {
+    name: 'trustarc',
+    category: 'consent',
+    detect: '#truste-consent-track',
+    click: ['#truste-consent-button'],
+    hide: ['#truste-consent-track', '.truste_overlay', '.truste_box_overlay']
+  },
+  {
+    name: 'iubenda',
+    category: 'consent',
+    detect: '#iubenda-cs-banner',
+    click: ['.iubenda-cs-accept-btn'],
+    hide: ['#iubenda-cs-banner']
+  },
+  {
+    name: 'termly',
+    category: 'consent',
+    detect: '#termly-code-snippet-support [class*="termly-styles-root"]',
+    click: ['[data-tid="banner-accept"]'],
+    hide: ['#termly-code-snippet-support']
+  },
+  {
+    name: 'generic-cookie-notice',
+    category: 'consent',
+    detect: [
+      '[id*="cookie" i][role="dialog"]', '[class*="cookie" i][role="dialog"]', '[aria-label*="cookie" i][role="dialog"]',
+      '[id*="cookie-banner" i]', '[class*="cookie-banner" i]', '[id*="cookie-notice" i]', '[class*="cookie-notice" i]',
+      '[id*="cookie-consent" i]', '[class*="cookie-consent" i]', '[id*="gdpr" i]', '[class*="gdpr-banner" i]'
+    ].join(', '),
+    click: [],
+    text: ACCEPT_TEXT,
+    hide: []
+  },
+  {
+    name: 'popup-maker',
+    category: 'modal',
+    detect: '.pum-overlay.pum-active',
+    click: ['.pum-active .pum-close'],
+    hide: ['.pum-overlay']
+  },
+  {
+    name: 'elementor-popup',
+    category: 'modal',
+    detect: '.elementor-popup-modal',
+    click: ['.elementor-popup-modal .dialog-close-button'],
+    hide: ['.elementor-popup-modal']
+  },
+  {
+    name: 'klaviyo',
+    category: 'modal',
+    detect: '[aria-label="POPUP Form"], .klaviyo-form[role="dialog"]',
+    click: ['button.klaviyo-close-form', '[aria-label="Close dialog"]'],
+    hide: ['[aria-label="POPUP Form"]', '.klaviyo-form[role="dialog"]']
+  },
+  {
+    name: 'mailchimp',
+    category: 'modal',
+    detect: '.mc-modal, #PopupSignupForm_0',
+    click: ['.mc-closeModal'],
+    hide: ['.mc-modal', '.mc-modal-bg', '#PopupSignupForm_0']
+  },
+  {
+    name: 'generic-modal',
+    category: 'modal',
+    detect: [
+      '[role="dialog"][aria-modal="true"]', '.modal.show', '.modal.in', '.modal.is-open', '.modal.open',
+      '[class*="newsletter" i][class*="popup" i]'
+    ].join(', '),
+    click: ['[aria-label*="close" i]', '[title*="close" i]', '.close', '.modal-close', '.btn-close', '[data-dismiss="modal"]', '[data-bs-dismiss="modal"]'],
+    text: CLOSE_TEXT,
+    hide: [],
+    scoped: true
+  },
+  {
+    name: 'chat-widgets',
+    category: 'chat',
+    detect: [
+      '#intercom-container', '.intercom-lightweight-app', '#hubspot-messages-iframe-container', '#tidio-chat',
+      '#crisp-chatbox', '.drift-frame-controller', '#launcher[title*="chat" i]', 'iframe#launcher',
+      '#tawkchat-container', '[id^="tawk-"]', '.fb_dialog', '#chat-widget-container', '#zsiq_float'
+    ].join(', '),
+    click: [],
+    hide: [
+      '#intercom-container', '.intercom-lightweight-app', '#hubspot-messages-iframe-container', '#tidio-chat',
+      '#crisp-chatbox', '.drift-frame-controller', '.drift-frame-chat', 'iframe#launcher', 'iframe#webWidget',
+      '#tawkchat-container', '[id^="tawk-"]', '.fb_dialog', '.fb-customerchat', '#chat-widget-container', '#zsiq_float'
+    ]
+  }
+];
+
+/**
+ * Whether the first match of a selector is visible (invalid selectors count as not visible)
+ */
+async function isShown(locator) {
+  try {
+    return await locator.first().isVisible();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Add display:none rules for selectors and release any scroll lock a modal left on the page
+ * (overflow:hidden on html/body would cut full-page screenshots at the first screen).
+ */
+async function hideWithStyles(page, selectors) {
+  const css = selectors
+    .map(selector => `${selector} { display: none !important; }`)
+    .join('\n');
+  if (css) await page.addStyleTag({ content: css });
+  await page.evaluate(() => {
+    for (const el of [document.documentElement, document.body]) {
+      if (el && getComputedStyle(el).overflowY === 'hidden') {
+        el.style.setProperty('overflow', 'auto', 'important');
+      }
+    }
+    document.body?.classList.remove('modal-open', 'pum-open', 'no-scroll', 'noscroll', 'overflow-hidden');
+  });
+}
+
+/**
+ * Try each click target of a rule; resolves to the selector/label that made the container go away
+ */
+async function clickToDismiss(page, container, rule) {
+  const targets = rule.click.map(selector => ({
+    label: selector,
+    locator: rule.scoped ? container.locator(selector) : page.locator(selector)
+  }));
+  if (rule.text) {
+    targets.push({
+      label: `text ${rule.text}`,
+      locator: container.locator('button, a, [role="button"], input[type="button"], input[type="submit"]').filter({ hasText: rule.text })
+    });
+  }
+
+  for (const target of targets) {
+    if (!(await isShown(target.locator))) continue;
+    try {
+      await target.locator.first().click({ timeout: 3000 });
+      await container.waitFor({ state: 'hidden', timeout: DISMISS_SETTLE_MS });
+      return target.label;
+    } catch {
+      // Click did not close it; try the next target
+    }
+  }
+  return null;
+}
+
+/**
+ * Screenshot a consent banner before it is dismissed: the banner on its own and the
+ * first screen with the banner in place
+ */
+async function captureBanner(page, container, rule, quality) {
+  const jpegQuality = Math.min(100, Math.max(0, quality));
+  try {
+    const element = await container.screenshot({ type: 'jpeg', quality: jpegQuality, timeout: 5000 });
+    const viewport = await page.screenshot({ type: 'jpeg', quality: jpegQuality, fullPage: false });
+    return { rule: rule.name, element, viewport, error: null };
+  } catch (error) {
+    return { rule: rule.name, element: null, viewport: null, error: error.message };
+  }
+}
+
+/**
+ * Detect and dismiss cookie-consent banners, modals and chat widgets on a loaded page.
+ * Known consent managers are accepted with their own button so they stay closed;
+ * anything that cannot be clicked away is hidden.
+ * @param {import('playwright').Page} page - Loaded page
+ * @param {Object} options
+ * @param {boolean} options.dismiss - Set false to leave every popup in place (default: true)
+ * @param {string[]} options.clickSelectors - Extra elements to click first (e.g. a site's own "Accept" button)
+ * @param {string[]} options.hideSelectors - Extra elements to remove from the page (display:none)
+ * @param {boolean} options.captureConsentBanner - Screenshot the consent banner before dismissing it
+ * @param {number} options.quality - JPEG quality for banner screenshots (default: 70)
+ * @returns {Promise<{enabled: boolean, dismissed: Array, failed: Array, consentBanner: Object|null}>}
+ */
+async function dismissPopups(page, options = {}) {
+  const report = { enabled: options.dismiss !== false, dismissed: [], failed: [], consentBanner: null };
+  if (!report.enabled) return report;
+
+  try {
+    for (const selector of options.clickSelectors || []) {
+      const locator = page.locator(selector);
+      if (!(await isShown(locator))) continue;
+      try {
+        await locator.first().click({ timeout: 3000 });
+        await page.waitForTimeout(500);
+        report.dismissed.push({ rule: 'custom', category: 'custom', action: 'click', selector });
+      } catch (error) {
+        report.failed.push({ rule: 'custom', category: 'custom', selector, error: error.message });
+      }
+    }
+
+    const toHide = [];
+    for (const rule of POPUP_RULES) {
+      const container = page.locator(rule.detect).first();
+      if (!(await isShown(container))) continue;
+
+      if (rule.category === 'consent' && options.captureConsentBanner && !report.consentBanner) {
+        report.consentBanner = await captureBanner(page, container, rule, options.quality || 70);
+      }
+
+      const clicked = await clickToDismiss(page, container, rule);
+      if (clicked) {
+        report.dismissed.push({ rule: rule.name, category: rule.category, action: 'click', selector: clicked });
+        continue;
+      }
+
+      // Generic rules have no fixed container id, so mark the matched element to hide exactly it
+      let hideSelectors = rule.hide;
+      if (hideSelectors.length === 0) {
+        const marker = `${rule.name}-${report.dismissed.length}`;
+        await container.evaluate((el, value) => el.setAttribute('data-qa-popup', value), marker);
+        hideSelectors = [`[data-qa-popup="${marker}"]`];
+      }
+      toHide.push(...hideSelectors);
+      report.dismissed.push({ rule: rule.name, category: rule.category, action: 'hide', selector: hideSelectors.join(', ') });
+    }
+
+    for (const selector of options.hideSelectors || []) {
+      toHide.push(selector);
+      if (await isShown(page.locator(selector))) {
+        report.dismissed.push({ rule: 'custom', category: 'custom', action: 'hide', selector });
+      }
+    }
+    if (toHide.length > 0) {
+      await hideWithStyles(page, toHide);
+    }
+
+    if (report.dismissed.length > 0) {
+      console.log(`[POPUPS] Dismissed ${report.dismissed.map(d => `${d.rule} (${d.action})`).join(', ')}`);
+    }
+  } catch (error) {
+    console.warn('[POPUPS] Dismissal failed:', error.message);
+    report.failed.push({ rule: null, category: null, selector: null, error: error.message });
+  }
+
+  return report;
+}
+
+module.exports = {
+  dismissPopups,
+  POPUP_RULES
+};
@@ -0,0 +1,83 @@
+const sharp = require('sharp');
+
+// Outline colour per responsiveness check
+const CHECK_COLORS = {
+  overflow: '#E53935',
+  'touch-target': '#FB8C00',
+  'oversized-image': '#8E24AA',
+  'fixed-overlap': '#1E88E5',
+  contrast: '#D81B60',
+  'focus-indicator': '#00897B'
+};
+const DEFAULT_COLOR = '#E53935';
+
+/**
+ * Escape text for use inside SVG markup
+ */
+function escapeXml(text) {
+  return String(text).replace(/[<>&"']/g, ch => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' }[ch]));
+}
+
+/**
+ * Draw numbered outlines around the elements of responsiveness findings.
+ * Boxes are in CSS pixels from the top of the page; scale converts them to image pixels
+ * (the capture's deviceScaleFactor). Boxes outside the image are clipped, so the same
+ * findings can annotate both a full-page and a viewport-only capture.
+ * @param {Buffer} imageBuffer - Screenshot taken before the checks ran
+ * @param {Array} findings - From runResponsivenessChecks (elements carry box and label)
+ * @param {Object} options
+ * @param {number} options.scale - Image pixels per CSS pixel (default: 1)
+ * @param {string} options.format - 'jpeg' | 'png' | 'webp' (default: jpeg)
+ * @param {number} options.quality - JPEG/WebP quality (default: 70)
+ * @returns {Promise<Buffer|null>} Annotated image, or null when there is nothing to draw
+ */
+async function annotateScreenshot(imageBuffer, findings, options = {}) {
+  const scale = options.scale || 1;
+  const quality = Math.min(100, Math.max(1, options.quality || 70));
+
+  // An element listed by several checks is drawn once per check, but shares its label
+  const boxes = [];
+  const drawn = new Set();
+  for (const finding of findings || []) {
+    for (const element of finding.elements || []) {
+      const key = `${element.label}|${finding.check}`;
+      if (!element.box || drawn.has(key) || finding.check === 'horizontal-scroll') continue;
+      drawn.add(key);
+      boxes.push({ ...element.box, label: element.label, color: CHECK_COLORS[finding.check] || DEFAULT_COLOR });
+    }
+  }
+  if (boxes.length === 0) return null;
+
+  const { width, height } = await sharp(imageBuffer).metadata();
+  const stroke = Math.max(2, Math.round(2 * scale));
+  const fontSize = Math.round(13 * scale);
+  const badgeHeight = Math.round(18 * scale);
+
+  const shapes = boxes.map(box => {
+    const x = Math.round(box.x * scale);
+    const y = Math.round(box.y * scale);
+    const w = Math.max(1, Math.round(box.width * scale));
+    const h = Math.max(1, Math.round(box.height * scale));
+    const text = String(box.label);
+    const badgeWidth = Math.round((text.length * 8 + 10) * scale);
+    // Badge sits above the box, or inside it when the box touches the top edge
+    const badgeY = y >= badgeHeight ? y - badgeHeight : y;
+    return [
+      `<rect x="${x}" y="${y}" width="${w}" height="${h}" fill="none" stroke="${box.color}" stroke-width="${stroke}"/>`,
+      `<rect x="${x}" y="${badgeY}" width="${badgeWidth}" height="${badgeHeight}" fill="${box.color}"/>`,
+      `<text x="${x + Math.round(5 * scale)}" y="${badgeY + badgeHeight - Math.round(4 * scale)}" font-family="DejaVu Sans, Arial, sans-serif" font-size="${fontSize}" font-weight="bold" fill="#FFFFFF">${escapeXml(text)}</text>`
+    ].join('');
+  });
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">${shapes.join('')}</svg>`;
+  const image = sharp(imageBuffer).composite([{ input: Buffer.from(svg), top: 0, left: 0 }]);
+
+  if (options.format === 'png') return image.png().toBuffer();
+  if (options.format === 'webp') return image.webp({ quality }).toBuffer();
+  return image.jpeg({ quality }).toBuffer();
+}
+
+module.exports = {
+  annotateScreenshot,
+  CHECK_COLORS
+};
@@ -1,4 +1,8 @@
-const { chromium } = require('playwright');
+const { devices } = require('playwright');
+const { acquirePage } = require('./browserPool');
+const { dismissPopups } = require('./popupDismisser');
+const { annotateScreenshot } = require('./screenshotAnnotator');
+const { testMobileMenu } = require('./mobileMenuTest');
 const sharp = require('sharp');
 
 const VIEWPORTS = {
@@ -7,17 +11,53 @@ const VIEWPORTS = {
   mobile: { width: 375, height: 667 }
 };
 
+const DESKTOP_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+// Accepted range for custom viewport sizes
+const MIN_VIEWPORT_SIZE = 200;
+const MAX_VIEWPORT_WIDTH = 7680;
+const MAX_VIEWPORT_HEIGHT = 4320;
+
 // Maximum image dimension for Claude API (8000px limit, using 7500px for safety)
 const MAX_IMAGE_DIMENSION = 7500;
 
+// Output formats and their MIME types
+const IMAGE_FORMATS = {
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp'
+};
+
+// Max offending elements listed per responsiveness check
+const FINDING_ELEMENT_LIMIT = 10;
+
+// Rows repeated at the top of each tile so content cut at a tile edge appears whole in one of them
+const DEFAULT_TILE_OVERLAP = 200;
+
+/**
+ * Encode a sharp pipeline in the requested format
+ * @param {import('sharp').Sharp} image
+ * @param {string} format - 'jpeg' | 'png' | 'webp'
+ * @param {number} quality - 0-100 (ignored for PNG)
+ * @returns {Promise<Buffer>}
+ */
+function encodeImage(image, format, quality) {
+  const q = Math.min(100, Math.max(1, quality));
+  if (format === 'png') return image.png({ compressionLevel: 9 }).toBuffer();
+  if (format === 'webp') return image.webp({ quality: q }).toBuffer();
+  return image.jpeg({ quality: q }).toBuffer();
+}
+
 /**
  * Resize image if it exceeds the maximum dimension
  * Maintains aspect ratio while scaling down
  * @param {Buffer} imageBuffer - Original image buffer
- * @param {number} quality - JPEG quality 0-100
+ * @param {number} quality - JPEG/WebP quality 0-100
+ * @param {string} format - Output format ('jpeg' | 'png' | 'webp'); when omitted, images within
+ *   limits are returned unchanged and resized images are JPEG
  * @returns {Promise<Buffer>} Resized image buffer (or original if within limits)
  */
-async function resizeIfNeeded(imageBuffer, quality = 70) {
+async function resizeIfNeeded(imageBuffer, quality = 70, format = null) {
   try {
     // Get image metadata
     const metadata = await sharp(imageBuffer).metadata();
@@ -27,6 +67,9 @@ async function resizeIfNeeded(imageBuffer, quality = 70) {
 
     // Check if resizing is needed
     if (width <= MAX_IMAGE_DIMENSION && height <= MAX_IMAGE_DIMENSION) {
+      if (format && metadata.format !== format) {
+        return await encodeImage(sharp(imageBuffer), format, quality);
+      }
       console.log(`[SHARP] Image within limits, no resize needed`);
       return imageBuffer;
     }
@@ -48,13 +91,11 @@ async function resizeIfNeeded(imageBuffer, quality = 70) {
     console.log(`[SHARP] Resizing from ${width}x${height} to ${newWidth}x${newHeight}`);
 
     // Resize the image
-    const resizedBuffer = await sharp(imageBuffer)
+    const resizedBuffer = await encodeImage(sharp(imageBuffer)
       .resize(newWidth, newHeight, {
         fit: 'inside',
         withoutEnlargement: true
-      })
-      .jpeg({ quality: Math.min(100, Math.max(0, quality)) })
-      .toBuffer();
+      }), format || 'jpeg', quality);
 
     console.log(`[SHARP] Resized image: ${resizedBuffer.length} bytes`);
 
@@ -66,38 +107,412 @@ async function resizeIfNeeded(imageBuffer, quality = 70) {
   }
 }
 
-const BROWSER_ARGS = [
-  '--no-sandbox',
-  '--disable-setuid-sandbox',
-  '--disable-dev-shm-usage',
-  '--disable-gpu',
-  '--single-process',
-  '--no-zygote',
-  '--disable-extensions',
-  '--disable-background-networking',
-  '--disable-default-apps',
-  '--disable-sync',
-  '--disable-translate',
-  '--metrics-recording-only',
-  '--mute-audio',
-  '--no-first-run',
-  '--safebrowsing-disable-auto-update'
-];
+/**
+ * Split a full-page capture into overlapping tiles that each fit MAX_IMAGE_DIMENSION,
+ * so long pages keep their full resolution instead of being downscaled.
+ * Pages wider than the limit are first scaled down to it (tiles split the height only).
+ * @param {Buffer} imageBuffer - Full-page capture (PNG preferred, to avoid re-compressing JPEG)
+ * @param {Object} options
+ * @param {string} options.format - Tile format (default: jpeg)
+ * @param {number} options.quality - JPEG/WebP quality (default: 70)
+ * @param {number} options.overlap - Rows shared by consecutive tiles (default: 200)
+ * @returns {Promise<{tiles: Array<{index: number, y: number, width: number, height: number, buffer: Buffer}>, scale: number, width: number, height: number, overlap: number}>}
+ *   y is the tile's top edge in the (scaled) full image; divide by scale for the original capture
+ */
+async function tileImage(imageBuffer, options = {}) {
+  const format = options.format || 'jpeg';
+  const quality = options.quality || 70;
+  const overlap = Math.min(Math.max(0, options.overlap ?? DEFAULT_TILE_OVERLAP), Math.floor(MAX_IMAGE_DIMENSION / 2));
+
+  let source = imageBuffer;
+  let { width, height } = await sharp(imageBuffer).metadata();
+  let scale = 1;
+  if (width > MAX_IMAGE_DIMENSION) {
+    scale = MAX_IMAGE_DIMENSION / width;
+    height = Math.round(height * scale);
+    width = MAX_IMAGE_DIMENSION;
+    source = await sharp(imageBuffer).resize(width, height).png().toBuffer();
+  }
+
+  const step = MAX_IMAGE_DIMENSION - overlap;
+  const tiles = [];
+  for (let y = 0; ; y += step) {
+    const tileHeight = Math.min(MAX_IMAGE_DIMENSION, height - y);
+    const buffer = await encodeImage(sharp(source).extract({ left: 0, top: y, width, height: tileHeight }), format, quality);
+    tiles.push({ index: tiles.length, y, width, height: tileHeight, buffer });
+    if (y + tileHeight >= height) break;
+  }
+
+  console.log(`[SHARP] Split ${width}x${height} capture into ${tiles.length} tile(s)`);
+  return { tiles, scale, width, height, overlap };
+}
+
+/**
+ * Resolve a viewport spec into a named viewport with browser context options.
+ * Accepts:
+ *   - 'desktop' | 'tablet' | 'mobile'
+ *   - a Playwright device name, e.g. 'iPhone 13' or 'Pixel 7' (user agent, scale factor, touch and mobile flags included)
+ *   - { width, height, deviceScaleFactor, isMobile, hasTouch, userAgent, device, name }
+ *     where device starts from a Playwright preset and the other fields override it
+ * @param {string|Object} spec - Viewport spec (default: 'desktop')
+ * @returns {{name: string, width: number, height: number, deviceScaleFactor: number, isMobile: boolean, hasTouch: boolean, contextOptions: Object}}
+ * @throws {Error} For unknown viewport/device names or out-of-range sizes
+ */
+function resolveViewport(spec = 'desktop') {
+  let name;
+  let base;
+
+  if (typeof spec === 'string') {
+    if (VIEWPORTS[spec]) {
+      name = spec;
+      base = { viewport: VIEWPORTS[spec], userAgent: DESKTOP_USER_AGENT };
+    } else if (devices[spec]) {
+      name = spec;
+      base = devices[spec];
+    } else {
+      throw new Error(`Unknown viewport or device "${spec}". Use desktop, tablet, mobile, a Playwright device name, or { width, height }`);
+    }
+  } else if (spec && typeof spec === 'object') {
+    if (spec.device && !devices[spec.device]) {
+      throw new Error(`Unknown device "${spec.device}"`);
+    }
+    base = spec.device ? devices[spec.device] : { viewport: VIEWPORTS.desktop, userAgent: DESKTOP_USER_AGENT };
+    const width = spec.width !== undefined ? parseInt(spec.width) : base.viewport.width;
+    const height = spec.height !== undefined ? parseInt(spec.height) : base.viewport.height;
+    if (!(width >= MIN_VIEWPORT_SIZE && width <= MAX_VIEWPORT_WIDTH) || !(height >= MIN_VIEWPORT_SIZE && height <= MAX_VIEWPORT_HEIGHT)) {
+      throw new Error(`Viewport must be ${MIN_VIEWPORT_SIZE}-${MAX_VIEWPORT_WIDTH}px wide and ${MIN_VIEWPORT_SIZE}-${MAX_VIEWPORT_HEIGHT}px high`);
+    }
+    const deviceScaleFactor = spec.deviceScaleFactor !== undefined ? parseFloat(spec.deviceScaleFactor) : (base.deviceScaleFactor || 1);
+    if (!(deviceScaleFactor >= 0.5 && deviceScaleFactor <= 4)) {
+      throw new Error('deviceScaleFactor must be between 0.5 and 4');
+    }
+    base = {
+      ...base,
+      viewport: { width, height },
+      deviceScaleFactor,
+      ...(spec.isMobile !== undefined ? { isMobile: !!spec.isMobile } : {}),
+      ...(spec.hasTouch !== undefined ? { hasTouch: !!spec.hasTouch } : {}),
+      ...(spec.userAgent ? { userAgent: spec.userAgent } : {})
+    };
+    name = spec.name || spec.device || `${width}x${height}${deviceScaleFactor !== 1 ? `@${deviceScaleFactor}x` : ''}`;
+  } else {
+    throw new Error('Viewport must be a name or an object with width and height');
+  }
+
+  // Device descriptors carry defaultBrowserType, which is not a context option
+  const { defaultBrowserType, ...contextOptions } = base;
+
+  return {
+    name,
+    width: contextOptions.viewport.width,
+    height: contextOptions.viewport.height,
+    deviceScaleFactor: contextOptions.deviceScaleFactor || 1,
+    isMobile: !!contextOptions.isMobile,
+    hasTouch: !!contextOptions.hasTouch,
+    contextOptions
+  };
+}
+
+/**
+ * Public description of a resolved viewport (without context options)
+ */
+function describeViewport(resolved) {
+  const { contextOptions, ...summary } = resolved;
+  return summary;
+}
+
+/**
+ * Validate and normalise the hide/mask/element options shared by the capture functions
+ * @param {Object} options
+ * @param {string[]} options.hideSelectors - Elements made invisible before capture (layout is kept)
+ * @param {string[]} options.maskSelectors - Elements covered with a solid box in the capture (Playwright mask)
+ * @param {string} options.maskColor - CSS colour of the mask boxes (default: #FF00FF)
+ * @param {Array<string|Object>} options.elements - Extra element/region captures: a selector,
+ *   { name, selector } or { name, x, y, width, height } (page coordinates)
+ * @param {boolean} options.dismissPopups - Dismiss cookie banners, modals and chat widgets (default: true)
+ * @param {string[]} options.popupClickSelectors - Extra elements clicked to close popups
+ * @param {string[]} options.popupHideSelectors - Extra popups removed from the page
+ * @param {boolean} options.captureConsentBanner - Screenshot the consent banner separately before dismissing it
+ * @param {string} options.format - Output format: 'jpeg' (default), 'png' or 'webp'
+ * @param {boolean} options.tile - Also split full-page captures into overlapping tiles (see tileImage)
+ * @param {number} options.tileOverlap - Rows shared by consecutive tiles (default: 200)
+ * @param {boolean} options.annotate - Also return a copy of the capture with responsiveness findings outlined
+ * @param {boolean} options.mobileMenu - Open and test the navigation menu in mobile dual captures (default: true)
+ * @param {string} options.menuToggleSelector - Menu toggle to use instead of auto-detection
+ * @returns {{hideSelectors: string[], maskSelectors: string[], maskColor: string|null, elements: Object[], popups: Object, format: string, tile: boolean, tileOverlap: number, annotate: boolean, mobileMenu: Object}}
+ * @throws {Error} For malformed options
+ */
+function normalizeCaptureOptions(options = {}) {
+  const selectorList = (value, field) => {
+    if (value === undefined || value === null) return [];
+    const list = Array.isArray(value) ? value : [value];
+    if (list.some(selector => typeof selector !== 'string' || !selector.trim())) {
+      throw new Error(`"${field}" must be a list of CSS selectors`);
+    }
+    return list.map(selector => selector.trim());
+  };
+
+  const format = String(options.format || 'jpeg').toLowerCase().replace(/^jpg$/, 'jpeg');
+  if (!IMAGE_FORMATS[format]) {
+    throw new Error(`"format" must be one of ${Object.keys(IMAGE_FORMATS).join(', ')}`);
+  }
+
+  const tileOverlap = options.tileOverlap !== undefined && options.tileOverlap !== null
+    ? parseInt(options.tileOverlap, 10)
+    : DEFAULT_TILE_OVERLAP;
+  if (!(tileOverlap >= 0 && tileOverlap <= MAX_IMAGE_DIMENSION / 2)) {
+    throw new Error(`"tileOverlap" must be between 0 and ${MAX_IMAGE_DIMENSION / 2}`);
+  }
+
+  const menuToggleSelector = options.menuToggleSelector ?? null;
+  if (menuToggleSelector !== null && (typeof menuToggleSelector !== 'string' || !menuToggleSelector.trim())) {
+    throw new Error('"menuToggleSelector" must be a CSS selector');
+  }
+
+  const elements = (options.elements === undefined || options.elements === null ? [] : options.elements);
+  if (!Array.isArray(elements)) {
+    throw new Error('"elements" must be a list of selectors or { name, selector } / { name, x, y, width, height } objects');
+  }
+
+  return {
+    hideSelectors: selectorList(options.hideSelectors, 'hideSelectors'),
+    maskSelectors: selectorList(options.maskSelectors, 'maskSelectors'),
+    maskColor: typeof options.maskColor === 'string' && options.maskColor ? options.maskColor : null,
+    popups: {
+      dismiss: options.dismissPopups !== false,
+      clickSelectors: selectorList(options.popupClickSelectors, 'popupClickSelectors'),
+      hideSelectors: selectorList(options.popupHideSelectors, 'popupHideSelectors'),
+      captureConsentBanner: !!options.captureConsentBanner
+    },
+    format,
+    tile: !!options.tile,
+    tileOverlap,
+    annotate: !!options.annotate,
+    mobileMenu: {
+      test: options.mobileMenu !== false,
+      toggleSelector: menuToggleSelector ? menuToggleSelector.trim() : null
+    },
+    elements: elements.map((element, index) => {
+      if (typeof element === 'string' && element.trim()) {
+        return { name: element.trim(), selector: element.trim() };
+      }
+      if (element && typeof element === 'object' && typeof element.selector === 'string' && element.selector.trim()) {
+        return { name: element.name || element.selector.trim(), selector: element.selector.trim() };
+      }
+      if (element && typeof element === 'object' && ['x', 'y', 'width', 'height'].every(key => Number.isFinite(Number(element[key])))) {
+        const clip = {
+          x: Math.max(0, Number(element.x)),
+          y: Math.max(0, Number(element.y)),
+          width: Number(element.width),
+          height: Number(element.height)
+        };
+        if (clip.width <= 0 || clip.height <= 0) {
+          throw new Error(`elements[${index}] must have a positive width and height`);
+        }
+        return { name: element.name || `region-${index + 1}`, clip };
+      }
+      throw new Error(`elements[${index}] must be a selector, { name, selector } or { name, x, y, width, height }`);
+    })
+  };
+}
+
+/**
+ * Hide elements for the rest of the page's life. visibility:hidden keeps the
+ * surrounding layout identical, so hidden widgets don't shift other content.
+ * One rule per selector so a single invalid selector doesn't disable the rest.
+ */
+async function hideElements(page, selectors) {
+  if (!selectors || selectors.length === 0) return;
+  const css = selectors
+    .map(selector => `${selector} { visibility: hidden !important; animation: none !important; }`)
+    .join('\n');
+  await page.addStyleTag({ content: css });
+}
+
+/**
+ * Extra page.screenshot() options for masking
+ */
+function maskOptions(page, captureOptions) {
+  if (captureOptions.maskSelectors.length === 0) return {};
+  return {
+    mask: captureOptions.maskSelectors.map(selector => page.locator(selector)),
+    ...(captureOptions.maskColor ? { maskColor: captureOptions.maskColor } : {})
+  };
+}
+
+/**
+ * Take a screenshot with the capture options applied. JPEG output without tiling is
+ * captured as JPEG directly; anything else starts from a lossless PNG.
+ */
+function screenshotPage(page, captureOptions, quality, fullPage) {
+  const lossless = captureOptions.format !== 'jpeg' || (captureOptions.tile && fullPage);
+  return page.screenshot({
+    type: lossless ? 'png' : 'jpeg',
+    fullPage,
+    ...(lossless ? {} : { quality: Math.min(100, Math.max(0, quality)) }),
+    ...maskOptions(page, captureOptions)
+  });
+}
+
+/**
+ * Turn a raw screenshot into the response image (within MAX_IMAGE_DIMENSION, in the
+ * requested format) plus tiles when tiling is enabled.
+ * @returns {Promise<{buffer: Buffer, mimeType: string, tiles: Array|null, tileScale: number|null}>}
+ */
+async function finishCapture(rawBuffer, captureOptions, quality, tile) {
+  const finalBuffer = await resizeIfNeeded(rawBuffer, quality, captureOptions.format);
+  const result = {
+    buffer: Buffer.isBuffer(finalBuffer) ? finalBuffer : Buffer.from(finalBuffer),
+    mimeType: IMAGE_FORMATS[captureOptions.format],
+    tiles: null,
+    tileScale: null
+  };
+  if (tile) {
+    const tiled = await tileImage(rawBuffer, { format: captureOptions.format, quality, overlap: captureOptions.tileOverlap });
+    result.tiles = tiled.tiles;
+    result.tileScale = tiled.scale;
+  }
+  return result;
+}
+
+/**
+ * Annotated copy of a raw screenshot (see screenshotAnnotator.js), sized and encoded like
+ * the main image. Null when annotation is off or there is nothing to outline.
+ */
+async function annotateCapture(rawBuffer, responsivenessChecks, captureOptions, quality, scale) {
+  if (!captureOptions.annotate || !responsivenessChecks || !responsivenessChecks.findings) return null;
+  try {
+    const annotated = await annotateScreenshot(rawBuffer, responsivenessChecks.findings, {
+      scale,
+      format: captureOptions.format,
+      quality
+    });
+    if (!annotated) return null;
+    const finalBuffer = await resizeIfNeeded(annotated, quality, captureOptions.format);
+    return Buffer.isBuffer(finalBuffer) ? finalBuffer : Buffer.from(finalBuffer);
+  } catch (error) {
+    console.warn('[SHARP] Could not annotate screenshot:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Capture each requested element or page region as its own image.
+ * Selectors use their first match; missing elements are reported, not thrown.
+ * @param {import('playwright').Page} page - Prepared page
+ * @param {Object} captureOptions - From normalizeCaptureOptions
+ * @param {number} quality - JPEG quality 0-100
+ * @returns {Promise<Array<{name: string, selector: string|null, clip: object|null, found: boolean, buffer: Buffer|null, mimeType: string, error: string|null}>>}
+ */
+async function captureElements(page, captureOptions, quality = 70) {
+  const type = captureOptions.format === 'jpeg' ? 'jpeg' : 'png';
+  const typeOptions = type === 'jpeg' ? { type, quality: Math.min(100, Math.max(0, quality)) } : { type };
+  const results = [];
+
+  for (const element of captureOptions.elements) {
+    const result = {
+      name: element.name,
+      selector: element.selector || null,
+      clip: element.clip || null,
+      found: false,
+      buffer: null,
+      mimeType: IMAGE_FORMATS[captureOptions.format],
+      error: null
+    };
+    try {
+      let raw;
+      if (element.selector) {
+        const locator = page.locator(element.selector).first();
+        if (await locator.count() === 0) {
+          result.error = `No element matches "${element.selector}"`;
+          results.push(result);
+          continue;
+        }
+        raw = await locator.screenshot({ ...typeOptions, timeout: 10000, ...maskOptions(page, captureOptions) });
+      } else {
+        raw = await page.screenshot({ ...typeOptions, fullPage: true, clip: element.clip, ...maskOptions(page, captureOptions) });
+      }
+      const finalBuffer = await resizeIfNeeded(raw, quality, captureOptions.format);
+      result.found = true;
+      result.buffer = Buffer.isBuffer(finalBuffer) ? finalBuffer : Buffer.from(finalBuffer);
+    } catch (error) {
+      result.error = error.message;
+    }
+    results.push(result);
+  }
+
+  if (results.length > 0) {
+    console.log(`[PLAYWRIGHT] Element captures: ${results.filter(r => r.found).length}/${results.length} found`);
+  }
+  return results;
+}
 
 /**
- * Launch browser, navigate to URL, and prepare page (lazy-load handling).
- * Returns { browser, page } — caller is responsible for closing the browser.
+ * Acquire a pooled page, navigate to URL, and prepare page (lazy-load handling,
+ * then cookie banner / modal / chat widget dismissal).
+ * Returns { page, release, popups } — caller is responsible for calling release().
+ * @param {string} url - The URL to load
+ * @param {Object} resolvedViewport - From resolveViewport
+ * @param {Object} popupOptions - See dismissPopups in popupDismisser.js
  */
-async function preparePage(url, dimensions) {
-  const browser = await chromium.launch({ headless: true, args: BROWSER_ARGS });
+async function preparePage(url, resolvedViewport, popupOptions = {}) {
+  const { page, release } = await acquirePage(resolvedViewport.contextOptions);
+  let popups;
+
+  try {
+    await navigateAndSettle(page, url);
+    popups = await dismissPopups(page, popupOptions);
+  } catch (error) {
+    await release();
+    throw error;
+  }
 
-  const context = await browser.newContext({
-    viewport: dimensions,
-    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+  return { page, release, popups };
+}
+
+/**
+ * Scroll through the full page to trigger lazy loaders, then return to the top
+ */
+async function scrollThroughPage(page) {
+  await page.evaluate(async () => {
+    await new Promise((resolve) => {
+      let totalHeight = 0;
+      const distance = 300;
+      const timer = setInterval(() => {
+        const scrollHeight = document.body.scrollHeight;
+        window.scrollBy(0, distance);
+        totalHeight += distance;
+        if (totalHeight >= scrollHeight) {
+          clearInterval(timer);
+          window.scrollTo(0, 0);
+          resolve();
+        }
+      }, 150);
+    });
   });
+}
 
-  const page = await context.newPage();
+/**
+ * Wait for every <img> element to finish loading (or fail, or time out)
+ */
+async function waitForImages(page) {
+  await page.evaluate(async () => {
+    const imgs = Array.from(document.querySelectorAll('img'));
+    await Promise.all(imgs.map(img => {
+      if (img.complete && img.naturalHeight > 0) return;
+      return new Promise(resolve => {
+        img.addEventListener('load', resolve, { once: true });
+        img.addEventListener('error', resolve, { once: true });
+        setTimeout(resolve, 10000);
+      });
+    }));
+  });
+}
 
+/**
+ * Navigate to URL and wait for lazy-loaded content to render
+ */
+async function navigateAndSettle(page, url) {
   const navTimeout = parseInt(process.env.REQUEST_TIMEOUT, 10) || 180000;
   await page.goto(url, { waitUntil: 'load', timeout: navTimeout });
 
@@ -140,35 +555,10 @@ async function preparePage(url, dimensions) {
   });
 
   // Step 4: Scroll through the full page to trigger remaining lazy loaders
-  await page.evaluate(async () => {
-    await new Promise((resolve) => {
-      let totalHeight = 0;
-      const distance = 300;
-      const timer = setInterval(() => {
-        const scrollHeight = document.body.scrollHeight;
-        window.scrollBy(0, distance);
-        totalHeight += distance;
-        if (totalHeight >= scrollHeight) {
-          clearInterval(timer);
-          window.scrollTo(0, 0);
-          resolve();
-        }
-      }, 150);
-    });
-  });
+  await scrollThroughPage(page);
 
   // Step 5: Wait for all <img> elements to fully load
-  await page.evaluate(async () => {
-    const imgs = Array.from(document.querySelectorAll('img'));
-    await Promise.all(imgs.map(img => {
-      if (img.complete && img.naturalHeight > 0) return;
-      return new Promise(resolve => {
-        img.addEventListener('load', resolve, { once: true });
-        img.addEventListener('error', resolve, { once: true });
-        setTimeout(resolve, 10000);
-      });
-    }));
-  });
+  await waitForImages(page);
 
   // Step 6: Preload all CSS background images
   await page.evaluate(async () => {
@@ -206,22 +596,70 @@ async function preparePage(url, dimensions) {
   }
 
   await page.waitForTimeout(2000);
-
-  return { browser, page };
 }
 
 /**
  * Run programmatic responsiveness checks on the currently open page.
  * Must be called while the browser is still open at the target viewport.
+ * Besides the summary issues, findings list the offending elements of each check
+ * (CSS selector, bounding box in page coordinates, text snippet, measured values),
+ * numbered with a label that annotateScreenshot draws next to each box.
  * @param {import('playwright').Page} page
- * @returns {Promise<{status: string, issues: string[], details: object}>}
+ * @param {Object} options
+ * @param {number} options.elementLimit - Max elements listed per check (default: 10)
+ * @returns {Promise<{status: string, issues: string[], findings: Array, details: object}>}
  */
-async function runResponsivenessChecks(page) {
+async function runResponsivenessChecks(page, options = {}) {
+  const elementLimit = options.elementLimit || FINDING_ELEMENT_LIMIT;
+
   try {
-    const result = await page.evaluate(() => {
+    const result = await page.evaluate((limit) => {
       const vw = document.documentElement.clientWidth;
       const vh = document.documentElement.clientHeight;
       const issues = [];
+      const findings = [];
+
+      function cssSelector(el) {
+        const parts = [];
+        let current = el;
+        while (current && current.nodeType === 1 && current !== document.documentElement) {
+          if (current.id && /^[A-Za-z][\w-]*$/.test(current.id)) {
+            parts.unshift(`#${current.id}`);
+            break;
+          }
+          let part = current.tagName.toLowerCase();
+          const parent = current.parentElement;
+          if (parent) {
+            const sameTag = Array.from(parent.children).filter(c => c.tagName === current.tagName);
+            if (sameTag.length > 1) part += `:nth-of-type(${sameTag.indexOf(current) + 1})`;
+          }
+          parts.unshift(part);
+          current = parent;
+        }
+        return parts.join(' > ');
+      }
+
+      function describeElement(el, measured) {
+        const rect = el.getBoundingClientRect();
+        const text = (el.innerText || el.getAttribute('aria-label') || el.getAttribute('alt') || el.getAttribute('src') || '')
+          .replace(/\s+/g, ' ').trim();
+        return {
+          selector: cssSelector(el),
+          box: {
+            x: Math.round(rect.left + window.scrollX),
+            y: Math.round(rect.top + window.scrollY),
+            width: Math.round(rect.width),
+            height: Math.round(rect.height)
+          },
+          text: text.substring(0, 80),
+          measured
+        };
+      }
+
+      // Only the first `limit` elements of each check are described (innerText and layout reads are costly)
+      function addFinding(check, issue, elementCount, elements, measured) {
+        findings.push({ check, issue, elementCount, elements: elements.slice(0, limit), measured: measured || null });
+      }
 
       // 1. Horizontal overflow
       const hasHorizontalScroll = document.body.scrollWidth > vw + 2;
@@ -231,31 +669,65 @@ async function runResponsivenessChecks(page) {
 
       // 2. Elements overflowing viewport
       let overflowingElements = 0;
+      const overflowing = new Set();
+      const overflowCandidates = [];
       const skipTags = new Set(['SCRIPT', 'STYLE', 'META', 'LINK', 'HEAD', 'BR', 'HR']);
       document.querySelectorAll('body *').forEach(el => {
         if (skipTags.has(el.tagName)) return;
         const rect = el.getBoundingClientRect();
         if (rect.width > 0 && rect.height > 0 && rect.right > vw + 5) {
           overflowingElements++;
+          overflowing.add(el);
+          // Children of an overflowing element usually overflow because of it; list the outermost ones
+          if (!overflowing.has(el.parentElement)) {
+            overflowCandidates.push({ el, overflowBy: Math.round(rect.right - vw) });
+          }
         }
       });
       if (overflowingElements > 0) {
         issues.push(`${overflowingElements} element(s) overflow the viewport boundary`);
+        overflowCandidates.sort((a, b) => b.overflowBy - a.overflowBy);
+        addFinding(
+          'overflow',
+          issues[issues.length - 1],
+          overflowingElements,
+          overflowCandidates.slice(0, limit).map(({ el, overflowBy }) => describeElement(el, {
+            right: Math.round(el.getBoundingClientRect().right),
+            viewportWidth: vw,
+            overflowBy
+          }))
+        );
+      }
+      if (hasHorizontalScroll) {
+        const overflowElements = findings.length > 0 ? findings[0].elements : [];
+        addFinding('horizontal-scroll', issues[0], overflowElements.length, overflowElements, {
+          scrollWidth: document.body.scrollWidth,
+          viewportWidth: vw
+        });
       }
 
       // 3. Touch targets too small (relevant for all viewports but especially mobile/tablet)
       let smallTouchTargets = 0;
+      const smallTargets = [];
       document.querySelectorAll('a, button, input, select, textarea, [role="button"], [onclick]').forEach(el => {
         const rect = el.getBoundingClientRect();
         if (rect.width > 0 && rect.height > 0 && (rect.width < 44 || rect.height < 44)) {
           const style = getComputedStyle(el);
           if (style.display !== 'none' && style.visibility !== 'hidden') {
             smallTouchTargets++;
+            if (smallTargets.length < limit) {
+              smallTargets.push(describeElement(el, {
+                width: Math.round(rect.width),
+                height: Math.round(rect.height),
+                minimum: 44
+              }));
+            }
           }
         }
       });
       if (smallTouchTargets > 0) {
         issues.push(`${smallTouchTargets} interactive element(s) smaller than 44x44px minimum touch target`);
+        addFinding('touch-target', issues[issues.length - 1], smallTouchTargets, smallTargets);
       }
 
       // 4. Body font size check
@@ -267,19 +739,30 @@ async function runResponsivenessChecks(page) {
       const viewportContent = viewportMeta?.getAttribute('content') || '';
       if (!hasViewportMeta) {
         issues.push('Missing <meta name="viewport"> tag');
+        addFinding('viewport-meta', issues[issues.length - 1], 0, [], { viewportContent: null });
       } else if (!viewportContent.includes('width=device-width')) {
         issues.push('Viewport meta tag missing width=device-width');
+        addFinding('viewport-meta', issues[issues.length - 1], 0, [], { viewportContent });
       }
 
       // 6. Oversized images (naturalWidth much larger than displayed, wasting bandwidth)
       let oversizedImages = 0;
+      const oversized = [];
       document.querySelectorAll('img').forEach(img => {
         if (img.naturalWidth > 0 && img.clientWidth > 0 && img.naturalWidth > img.clientWidth * 3) {
           oversizedImages++;
+          if (oversized.length < limit) {
+            oversized.push(describeElement(img, {
+              naturalWidth: img.naturalWidth,
+              displayedWidth: img.clientWidth,
+              ratio: Math.round((img.naturalWidth / img.clientWidth) * 10) / 10
+            }));
+          }
         }
       });
       if (oversizedImages > 0) {
         issues.push(`${oversizedImages} image(s) significantly larger than display size (unoptimized)`);
+        addFinding('oversized-image', issues[issues.length - 1], oversizedImages, oversized);
       }
 
       // 7. Fixed/sticky elements overlapping content
@@ -290,7 +773,7 @@ async function runResponsivenessChecks(page) {
         if ((style.position === 'fixed' || style.position === 'sticky') && el.tagName !== 'SCRIPT') {
           const rect = el.getBoundingClientRect();
           if (rect.width > 0 && rect.height > 50 && rect.top < vh / 2) {
-            fixedEls.push(rect);
+            fixedEls.push({ el, rect });
           }
         }
       });
@@ -298,17 +781,22 @@ async function runResponsivenessChecks(page) {
         const mainContent = document.querySelector('main, [role="main"], #content, .content, article');
         if (mainContent) {
           const mainRect = mainContent.getBoundingClientRect();
-          for (const fixedRect of fixedEls) {
+          for (const { el, rect: fixedRect } of fixedEls) {
             if (fixedRect.bottom > mainRect.top && fixedRect.bottom - mainRect.top > 20) {
               fixedOverlap = true;
+              issues.push('Fixed/sticky header appears to overlap page content');
+              addFinding('fixed-overlap', issues[issues.length - 1], 1, [describeElement(el, {
+                position: getComputedStyle(el).position,
+                bottom: Math.round(fixedRect.bottom),
+                contentTop: Math.round(mainRect.top),
+                overlap: Math.round(fixedRect.bottom - mainRect.top),
+                contentSelector: cssSelector(mainContent)
+              })]);
               break;
             }
           }
         }
       }
-      if (fixedOverlap) {
-        issues.push('Fixed/sticky header appears to overlap page content');
-      }
 
       // 8. Color contrast (WCAG 2.1 AA)
       function parseColor(color) {
@@ -344,6 +832,7 @@ async function runResponsivenessChecks(page) {
 
       let contrastIssues = 0;
       const contrastSamples = [];
+      const lowContrast = [];
       const textSelectors = 'h1, h2, h3, h4, h5, h6, p, a, button, label, span, li, td, th';
       const textEls = document.querySelectorAll(textSelectors);
       const checked = new Set();
@@ -374,6 +863,15 @@ async function runResponsivenessChecks(page) {
 
         if (!pass) {
           contrastIssues++;
+          if (lowContrast.length < limit) {
+            lowContrast.push(describeElement(el, {
+              ratio: Math.round(ratio * 100) / 100,
+              required,
+              color: style.color,
+              background: `rgb(${bg.join(', ')})`,
+              fontSize
+            }));
+          }
           if (contrastSamples.length < 5) {
             contrastSamples.push({
               element: `${el.tagName.toLowerCase()}`,
@@ -387,11 +885,13 @@ async function runResponsivenessChecks(page) {
       }
       if (contrastIssues > 0) {
         issues.push(`${contrastIssues} text element(s) have insufficient color contrast (below WCAG AA)`);
+        addFinding('contrast', issues[issues.length - 1], contrastIssues, lowContrast);
       }
 
       // 9. Focus indicator check
       let focusableElements = 0;
       let focusableWithoutIndicator = 0;
+      const noIndicator = [];
       const focusSelectors = 'a[href], button, input, select, textarea, [tabindex]:not([tabindex="-1"])';
       const focusEls = Array.from(document.querySelectorAll(focusSelectors)).slice(0, 30);
       for (const el of focusEls) {
@@ -412,17 +912,26 @@ async function runResponsivenessChecks(page) {
 
         if (!hasOutline && !hasBoxShadow && !hasBorderChange) {
           focusableWithoutIndicator++;
+          if (noIndicator.length < limit) {
+            noIndicator.push(describeElement(el, {
+              outlineStyle: afterStyle.outlineStyle,
+              outlineWidth: afterStyle.outlineWidth,
+              boxShadow: afterStyle.boxShadow
+            }));
+          }
         }
         el.blur();
       }
       const focusableWithIndicator = focusableElements - focusableWithoutIndicator;
       if (focusableWithoutIndicator > 0) {
         issues.push(`${focusableWithoutIndicator} of ${focusableElements} focusable element(s) have no visible focus indicator`);
+        addFinding('focus-indicator', issues[issues.length - 1], focusableWithoutIndicator, noIndicator);
       }
 
       return {
         status: issues.length === 0 ? 'PASS' : 'FAIL',
         issues,
+        findings,
         details: {
           viewportWidth: vw,
           viewportHeight: vh,
@@ -441,117 +950,260 @@ async function runResponsivenessChecks(page) {
           focusableWithoutIndicator,
         }
       };
-    });
+    }, elementLimit);
+
+    // Number every listed element; the horizontal-scroll finding reuses the overflow elements and their labels
+    let label = 1;
+    const labels = new Map();
+    for (const finding of result.findings) {
+      for (const element of finding.elements) {
+        const key = `${finding.check === 'horizontal-scroll' ? 'overflow' : finding.check}|${element.selector}`;
+        if (!labels.has(key)) labels.set(key, label++);
+        element.label = labels.get(key);
+      }
+    }
 
     console.log(`[RESPONSIVENESS] ${result.status} — ${result.issues.length} issue(s) found`);
     return result;
   } catch (err) {
     console.warn(`[RESPONSIVENESS] Check failed:`, err.message);
-    return { status: 'ERROR', issues: [`Check failed: ${err.message}`], details: {} };
+    return { status: 'ERROR', issues: [`Check failed: ${err.message}`], findings: [], details: {} };
   }
 }
 
 /**
  * Capture a screenshot with the specified viewport
  * @param {string} url - The URL to capture
- * @param {string} viewport - 'desktop' | 'tablet' | 'mobile'
+ * @param {string|Object} viewport - Viewport name, device name or custom size (see resolveViewport)
  * @param {boolean} fullPage - Whether to capture full page (default: true)
  * @param {number} quality - JPEG quality 0-100 (default: 70)
- * @returns {Promise<{buffer: Buffer, responsivenessChecks: object}>}
+ * @param {Object} options - Hide/mask, element, popup, format and tiling options (see normalizeCaptureOptions)
+ * @returns {Promise<{buffer: Buffer, mimeType: string, tiles: Array|null, tileScale: number|null, annotated: Buffer|null, responsivenessChecks: object, viewport: object, elements: Array, popups: object}>}
  */
-async function captureScreenshot(url, viewport = 'desktop', fullPage = true, quality = 70) {
-  const dimensions = VIEWPORTS[viewport] || VIEWPORTS.desktop;
-  let browser;
+async function captureScreenshot(url, viewport = 'desktop', fullPage = true, quality = 70, options = {}) {
+  const resolved = resolveViewport(viewport);
+  const captureOptions = normalizeCaptureOptions(options);
+  viewport = resolved.name;
+  let release;
 
   try {
     console.log(`[PLAYWRIGHT] Capturing ${viewport} screenshot: ${url}`);
-    const prepared = await preparePage(url, dimensions);
-    browser = prepared.browser;
+    const prepared = await preparePage(url, resolved, { ...captureOptions.popups, quality });
+    release = prepared.release;
+    await hideElements(prepared.page, captureOptions.hideSelectors);
 
-    const rawBuffer = await prepared.page.screenshot({
-      type: 'jpeg',
-      fullPage: fullPage !== false,
-      quality: Math.min(100, Math.max(0, quality))
-    });
+    const rawBuffer = await screenshotPage(prepared.page, captureOptions, quality, fullPage !== false);
+    const elements = await captureElements(prepared.page, captureOptions, quality);
 
     const responsivenessChecks = await runResponsivenessChecks(prepared.page);
 
-    await browser.close();
-    browser = null;
+    await release();
+    release = null;
 
     console.log(`[PLAYWRIGHT] Raw screenshot captured: ${viewport} - ${rawBuffer.length} bytes`);
 
-    const finalBuffer = await resizeIfNeeded(rawBuffer, quality);
-    const buffer = Buffer.isBuffer(finalBuffer) ? finalBuffer : Buffer.from(finalBuffer);
+    const image = await finishCapture(rawBuffer, captureOptions, quality, captureOptions.tile && fullPage !== false);
+    const annotated = await annotateCapture(rawBuffer, responsivenessChecks, captureOptions, quality, resolved.deviceScaleFactor);
 
-    console.log(`[PLAYWRIGHT] Final screenshot: ${buffer.length} bytes`);
-    return { buffer, responsivenessChecks };
+    console.log(`[PLAYWRIGHT] Final screenshot: ${image.buffer.length} bytes`);
+    return { ...image, annotated, responsivenessChecks, viewport: describeViewport(resolved), elements, popups: prepared.popups };
   } catch (error) {
     console.error(`[PLAYWRIGHT] Error capturing screenshot ${viewport} for ${url}:`, error.message);
-    if (browser) await browser.close();
+    if (release) await release();
+    throw error;
+  }
+}
+
+/**
+ * Capture a lossless PNG screenshot for pixel comparison (no JPEG artefacts, no downscaling)
+ * @param {string} url - The URL to capture
+ * @param {string|Object} viewport - Viewport name, device name or custom size (see resolveViewport)
+ * @param {boolean} fullPage - Whether to capture full page (default: true)
+ * @param {Object} options - hideSelectors, maskSelectors, maskColor (see normalizeCaptureOptions)
+ * @returns {Promise<Buffer>} PNG image buffer
+ */
+async function captureRawScreenshot(url, viewport = 'desktop', fullPage = true, options = {}) {
+  const resolved = resolveViewport(viewport);
+  const captureOptions = normalizeCaptureOptions(options);
+  viewport = resolved.name;
+  let release;
+
+  try {
+    console.log(`[PLAYWRIGHT] Capturing ${viewport} PNG screenshot: ${url}`);
+    const prepared = await preparePage(url, resolved, captureOptions.popups);
+    release = prepared.release;
+    await hideElements(prepared.page, captureOptions.hideSelectors);
+
+    const buffer = await prepared.page.screenshot({
+      type: 'png',
+      fullPage: fullPage !== false,
+      ...maskOptions(prepared.page, captureOptions)
+    });
+
+    await release();
+    release = null;
+
+    console.log(`[PLAYWRIGHT] PNG screenshot captured: ${viewport} - ${buffer.length} bytes`);
+    return buffer;
+  } catch (error) {
+    console.error(`[PLAYWRIGHT] Error capturing PNG screenshot ${viewport} for ${url}:`, error.message);
+    if (release) await release();
     throw error;
   }
 }
 
 /**
  * Capture both a full-page and viewport-only mobile screenshot in a single browser session.
- * The viewport-only shot (375x667) gives Claude a clear view of the header/hamburger icon.
+ * The viewport-only shot (375x667) gives Claude a clear view of the header/hamburger icon,
+ * and the hamburger menu is then opened and tested (see testMobileMenu).
  * @param {string} url - The URL to capture
  * @param {number} quality - JPEG quality 0-100 (default: 70)
- * @returns {Promise<{fullPage: Buffer, viewport: Buffer, responsivenessChecks: object}>}
+ * @param {Object} options - Hide/mask, element, popup, format, tiling and mobile menu options (see normalizeCaptureOptions)
+ * @returns {Promise<{fullPage: Buffer, viewport: Buffer, annotatedFullPage: Buffer|null, annotatedViewport: Buffer|null, mimeType: string, tiles: Array|null, tileScale: number|null, responsivenessChecks: object, mobileMenu: object|null, elements: Array, popups: object}>}
+ *   tiles split the full-page image
  */
-async function captureWithViewport(url, quality = 70) {
-  const dimensions = VIEWPORTS.mobile;
-  let browser;
+async function captureWithViewport(url, quality = 70, options = {}) {
+  const resolved = resolveViewport('mobile');
+  const captureOptions = normalizeCaptureOptions(options);
+  let release;
 
   try {
     console.log(`[PLAYWRIGHT] Capturing mobile dual screenshot (fullPage + viewport): ${url}`);
-    const prepared = await preparePage(url, dimensions);
-    browser = prepared.browser;
-
-    const jpegQuality = Math.min(100, Math.max(0, quality));
+    const prepared = await preparePage(url, resolved, { ...captureOptions.popups, quality });
+    release = prepared.release;
+    await hideElements(prepared.page, captureOptions.hideSelectors);
 
     // Viewport-only screenshot first (scroll is already at top from preparePage)
-    const viewportRaw = await prepared.page.screenshot({
-      type: 'jpeg',
-      fullPage: false,
-      quality: jpegQuality
-    });
+    const viewportRaw = await screenshotPage(prepared.page, captureOptions, quality, false);
 
     // Full-page screenshot
-    const fullPageRaw = await prepared.page.screenshot({
-      type: 'jpeg',
-      fullPage: true,
-      quality: jpegQuality
-    });
+    const fullPageRaw = await screenshotPage(prepared.page, captureOptions, quality, true);
+    const elements = await captureElements(prepared.page, captureOptions, quality);
 
     const responsivenessChecks = await runResponsivenessChecks(prepared.page);
 
-    await browser.close();
-    browser = null;
+    // Opening the menu changes the page, so it runs after every capture and check
+    const mobileMenu = captureOptions.mobileMenu.test
+      ? await testMobileMenu(prepared.page, { toggleSelector: captureOptions.mobileMenu.toggleSelector, quality })
+      : null;
+
+    await release();
+    release = null;
 
     console.log(`[PLAYWRIGHT] Viewport screenshot: ${viewportRaw.length} bytes, Full-page: ${fullPageRaw.length} bytes`);
 
-    const fullPageBuffer = await resizeIfNeeded(fullPageRaw, quality);
-    const viewportBuffer = await resizeIfNeeded(viewportRaw, quality);
+    const fullPageImage = await finishCapture(fullPageRaw, captureOptions, quality, captureOptions.tile);
+    const viewportImage = await finishCapture(viewportRaw, captureOptions, quality, false);
 
     return {
-      fullPage: Buffer.isBuffer(fullPageBuffer) ? fullPageBuffer : Buffer.from(fullPageBuffer),
-      viewport: Buffer.isBuffer(viewportBuffer) ? viewportBuffer : Buffer.from(viewportBuffer),
-      responsivenessChecks
+      fullPage: fullPageImage.buffer,
+      viewport: viewportImage.buffer,
+      annotatedFullPage: await annotateCapture(fullPageRaw, responsivenessChecks, captureOptions, quality, resolved.deviceScaleFactor),
+      annotatedViewport: await annotateCapture(viewportRaw, responsivenessChecks, captureOptions, quality, resolved.deviceScaleFactor),
+      mimeType: fullPageImage.mimeType,
+      tiles: fullPageImage.tiles,
+      tileScale: fullPageImage.tileScale,
+      responsivenessChecks,
+      mobileMenu,
+      elements,
+      popups: prepared.popups
     };
   } catch (error) {
     console.error(`[PLAYWRIGHT] Error capturing dual screenshot for ${url}:`, error.message);
-    if (browser) await browser.close();
+    if (release) await release();
     throw error;
   }
 }
 
+/**
+ * Capture the same page at several viewports in one request.
+ * Viewports that share context-level settings (user agent, scale factor, touch and
+ * mobile flags) reuse one loaded page, which is resized between captures; the rest
+ * get their own page. Responsiveness checks run at each viewport.
+ * @param {string} url - The URL to capture
+ * @param {Array<string|Object>} viewports - Viewport specs (see resolveViewport)
+ * @param {boolean} fullPage - Whether to capture full page (default: true)
+ * @param {number} quality - JPEG quality 0-100 (default: 70)
+ * @param {Object} options - Hide/mask, element, popup, format and tiling options (see normalizeCaptureOptions)
+ * @returns {Promise<Array<{viewport: object, buffer: Buffer, mimeType: string, tiles: Array|null, annotated: Buffer|null, responsivenessChecks: object, elements: Array, popups: object|null}>>} In request order (popups reported on the first capture of each page load)
+ */
+async function captureViewports(url, viewports, fullPage = true, quality = 70, options = {}) {
+  const resolvedList = viewports.map(spec => resolveViewport(spec));
+  const captureOptions = normalizeCaptureOptions(options);
+
+  // Group by everything a resize cannot change
+  const groups = new Map();
+  resolvedList.forEach((resolved, index) => {
+    const { viewport, ...contextSettings } = resolved.contextOptions;
+    const key = JSON.stringify(contextSettings);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push({ resolved, index });
+  });
+
+  console.log(`[PLAYWRIGHT] Capturing ${resolvedList.length} viewport(s) with ${groups.size} page load(s): ${url}`);
+
+  const results = new Array(resolvedList.length);
+  for (const members of groups.values()) {
+    let release;
+    try {
+      const prepared = await preparePage(url, members[0].resolved, { ...captureOptions.popups, quality });
+      release = prepared.release;
+      const page = prepared.page;
+      await hideElements(page, captureOptions.hideSelectors);
+
+      for (let i = 0; i < members.length; i++) {
+        const { resolved, index } = members[i];
+        if (i > 0) {
+          await page.setViewportSize({ width: resolved.width, height: resolved.height });
+          // Let the layout and any newly visible lazy content settle at the new size
+          await page.waitForTimeout(500);
+          await scrollThroughPage(page);
+          await waitForImages(page);
+        }
+
+        const rawBuffer = await screenshotPage(page, captureOptions, quality, fullPage !== false);
+        const elements = await captureElements(page, captureOptions, quality);
+        const responsivenessChecks = await runResponsivenessChecks(page);
+        const image = await finishCapture(rawBuffer, captureOptions, quality, captureOptions.tile && fullPage !== false);
+        const annotated = await annotateCapture(rawBuffer, responsivenessChecks, captureOptions, quality, resolved.deviceScaleFactor);
+
+        console.log(`[PLAYWRIGHT] Captured ${resolved.name} (${resolved.width}x${resolved.height}): ${rawBuffer.length} bytes`);
+        results[index] = {
+          viewport: describeViewport(resolved),
+          ...image,
+          annotated,
+          responsivenessChecks,
+          elements,
+          popups: i === 0 ? prepared.popups : null
+        };
+      }
+
+      await release();
+      release = null;
+    } catch (error) {
+      console.error(`[PLAYWRIGHT] Error capturing viewports for ${url}:`, error.message);
+      if (release) await release();
+      throw error;
+    }
+  }
+
+  return results;
+}
+
 module.exports = {
   captureScreenshot,
   captureWithViewport,
+  captureRawScreenshot,
+  captureViewports,
+  preparePage,
+  hideElements,
+  screenshotPage,
+  resolveViewport,
+  normalizeCaptureOptions,
   runResponsivenessChecks,
   resizeIfNeeded,
+  tileImage,
   VIEWPORTS,
+  IMAGE_FORMATS,
   MAX_IMAGE_DIMENSION
 };
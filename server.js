@@ -5,8 +5,15 @@ const axios = require('axios');
 const { createClient } = require('@supabase/supabase-js');
 const { checkMultiplePages } = require('./linkChecker');
 const { fetchPage } = require('./pageFetcher');
-const { captureScreenshot, captureWithViewport } = require('./screenshotHandler');
+const { captureScreenshot, captureWithViewport, captureViewports, resolveViewport, normalizeCaptureOptions } = require('./screenshotHandler');
 const { checkPageContent } = require('./contentChecker');
+const { discoverPages, parseCrawlOptions, normalizeUrl } = require('./siteCrawler');
+const { closeBrowserPool, getPoolStats } = require('./browserPool');
+const { checkEnvironment } = require('./environmentChecker');
+const { runVisualDiff, approveBaseline, listBaselines, baselineId, parseDiffOptions } = require('./visualRegression');
+const { runBreakpointSweep, planSweep } = require('./breakpointSweep');
+const { checkAccessibility } = require('./accessibilityChecker');
+const { runKeyboardAudit } = require('./keyboardAudit');
 
 // Load environment variables
 dotenv.config();
@@ -114,6 +121,103 @@ async function postToN8nWithRetry(url, payload, maxRetries = 3) {
   }
 }
 
+/**
+ * Merge discovered pages into the frontend-provided page list.
+ * Provided pages keep their names/fields; discovered pages not already
+ * present (by normalized URL) are appended in start-qa page format.
+ */
+function mergeDiscoveredPages(pages, discoveredPages) {
+  const merged = [...(pages || [])];
+  const known = new Set(merged.map(p => normalizeUrl(p.page_url || p.pageUrl || '')).filter(Boolean));
+  for (const discovered of discoveredPages) {
+    if (known.has(discovered.url)) continue;
+    known.add(discovered.url);
+    merged.push({ page_url: discovered.url, page_name: discovered.pageName });
+  }
+  return merged;
+}
+
+/**
+ * Build hide/mask/element capture options for a screenshot request.
+ * Project settings (the same snake_case object sent to /start-qa and /rerun) supply
+ * the defaults so every run of a project captures pages the same way; camelCase
+ * fields in the request body override them. Throws on malformed options.
+ */
+function screenshotOptionsFromRequest(body) {
+  const settings = body.settings || {};
+  return normalizeCaptureOptions({
+    hideSelectors: body.hideSelectors ?? settings.screenshot_hide_selectors,
+    maskSelectors: body.maskSelectors ?? settings.screenshot_mask_selectors,
+    maskColor: body.maskColor ?? settings.screenshot_mask_color,
+    elements: body.elements ?? settings.screenshot_elements,
+    dismissPopups: body.dismissPopups ?? settings.screenshot_dismiss_popups,
+    popupClickSelectors: body.popupClickSelectors ?? settings.screenshot_popup_click_selectors,
+    popupHideSelectors: body.popupHideSelectors ?? settings.screenshot_popup_hide_selectors,
+    captureConsentBanner: body.captureConsentBanner ?? settings.screenshot_capture_consent_banner,
+    format: body.format ?? settings.screenshot_format,
+    tile: body.tile ?? settings.screenshot_tile,
+    tileOverlap: body.tileOverlap ?? settings.screenshot_tile_overlap,
+    annotate: body.annotate ?? settings.screenshot_annotate,
+    mobileMenu: body.mobileMenu ?? settings.screenshot_mobile_menu,
+    menuToggleSelector: body.menuToggleSelector ?? settings.screenshot_menu_toggle_selector
+  });
+}
+
+/**
+ * Encode element captures for a JSON response
+ */
+function elementCapturesToJson(elements) {
+  return (elements || []).map(({ buffer, mimeType, ...element }) => ({
+    ...element,
+    base64: buffer ? buffer.toString('base64') : null,
+    mimeType: buffer ? mimeType : null,
+    size: buffer ? buffer.length : 0
+  }));
+}
+
+/**
+ * Encode full-page tiles for a JSON response (null when tiling was not requested)
+ */
+function tilesToJson(tiles, mimeType) {
+  if (!tiles) return null;
+  return tiles.map(({ buffer, ...tile }) => ({
+    ...tile,
+    base64: buffer.toString('base64'),
+    mimeType,
+    size: buffer.length
+  }));
+}
+
+/**
+ * Encode a popup dismissal report for a JSON response
+ */
+function popupReportToJson(popups) {
+  if (!popups) return null;
+  const { consentBanner, ...report } = popups;
+  return {
+    ...report,
+    consentBanner: consentBanner ? {
+      rule: consentBanner.rule,
+      base64: consentBanner.element ? consentBanner.element.toString('base64') : null,
+      viewportBase64: consentBanner.viewport ? consentBanner.viewport.toString('base64') : null,
+      mimeType: 'image/jpeg',
+      error: consentBanner.error
+    } : null
+  };
+}
+
+/**
+ * Encode a mobile menu test result for a JSON response
+ */
+function mobileMenuToJson(mobileMenu) {
+  if (!mobileMenu) return null;
+  const { screenshot, ...result } = mobileMenu;
+  return {
+    ...result,
+    screenshotBase64: screenshot ? screenshot.toString('base64') : null
+  };
+}
+
 /**
  * Mark pages as failed in Supabase when n8n forwarding fails entirely.
  * Prevents pages from being stuck in processing forever.
@@ -141,6 +245,81 @@ async function markPagesAsFailed(pages, context) {
   }
 }
 
+/**
+ * Environment leakage options for the link checks. /start-qa and /rerun share this so a
+ * rerun compares against the same staging and production hosts as the first run.
+ * @param {{staging_url?: string, production_url?: string}} projectUrls - Project URLs
+ * @param {Object} settings - Project settings
+ */
+function environmentCheckOptions(projectUrls, settings) {
+  return {
+    stagingUrl: projectUrls?.staging_url,
+    productionUrl: projectUrls?.production_url,
+    allowHosts: settings?.environment_allow_hosts,
+    devHosts: settings?.environment_dev_hosts
+  };
+}
+
+/**
+ * Load a project's staging and production URLs from Supabase (for /rerun requests
+ * that do not send them). Returns {} when they cannot be loaded.
+ */
+async function loadProjectUrls(projectId) {
+  if (!supabase) return {};
+  try {
+    const { data, error } = await supabase
+      .from('projects')
+      .select('staging_url, production_url')
+      .eq('id', projectId)
+      .limit(1);
+    if (error) {
+      console.warn('[RERUN] Could not load project URLs:', error.message);
+      return {};
+    }
+    return data?.[0] || {};
+  } catch (err) {
+    console.warn('[RERUN] Exception loading project URLs:', err.message);
+    return {};
+  }
+}
+
+/**
+ * Run the axe accessibility audit on each page (sequentially) and attach it as
+ * accessibility_checks. Used by /start-qa and /rerun when settings.accessibility_checks is set.
+ */
+async function addAccessibilityChecks(pages, settings, jobKey, context) {
+  const job = activeJobs.get(jobKey);
+  if (job) {
+    job.stage = 'checking_accessibility';
+    job.checkedPages = 0;
+    job.totalPages = pages.length;
+  }
+
+  const startTime = Date.now();
+  const enriched = [];
+  for (const p of pages) {
+    const url = p.page_url || p.pageUrl;
+    let accessibilityChecks = null;
+    if (url) {
+      try {
+        accessibilityChecks = await checkAccessibility(url, {
+          viewports: settings.accessibility_viewports,
+          tags: settings.accessibility_tags,
+          disableRules: settings.accessibility_disable_rules,
+          detailLimit: settings.accessibility_detail_limit
+        });
+      } catch (error) {
+        console.warn(`[${context}] Accessibility check failed for ${url}:`, error.message);
+      }
+    }
+    enriched.push({ ...p, accessibility_checks: accessibilityChecks });
+    if (job) job.checkedPages = enriched.length;
+  }
+
+  console.log(`[${context}] Accessibility checks completed for ${pages.length} pages in ${Date.now() - startTime}ms`);
+  return enriched;
+}
+
 // Middleware
 app.use(cors());
 app.use(express.json({ limit: '10mb' }));
@@ -156,6 +335,7 @@ app.get('/health', (req, res) => {
   res.json({ 
     status: 'healthy', 
     service: 'playwright-link-checker',
+    browserPool: getPoolStats(),
     timestamp: new Date().toISOString()
   });
 });
@@ -195,7 +375,21 @@ app.post('/check-links', async (req, res) => {
     
     // Check links for all pages
     const startTime = Date.now();
-    const results = await checkMultiplePages(validPages, concurrency);
+    const results = await checkMultiplePages(validPages, concurrency, null, {
+      hostConcurrency: req.body.hostConcurrency,
+      hostDelayMs: req.body.hostDelayMs,
+      maxRedirectChain: req.body.maxRedirectChain,
+      newTabPolicy: req.body.newTabPolicy,
+      linkRules: req.body.linkRules,
+      detailLimit: req.body.detailLimit,
+      fullDetail: req.body.fullDetail,
+      soft404: req.body.soft404,
+      browserFallback: req.body.browserFallback,
+      contactLinks: req.body.contactLinks,
+      revealNavigation: req.body.revealNavigation,
+      viewport: req.body.viewport,
+      environment: req.body.environment
+    });
     const duration = Date.now() - startTime;
     
     console.log(`[SERVER] Completed checking ${results.length} pages in ${duration}ms`);
@@ -246,10 +440,11 @@ app.post('/fetch-page', async (req, res) => {
   }
 });
 
-// Capture screenshot (returns raw image bytes, or JSON with dual images when includeViewport is set)
+// Capture screenshot (JSON with base64 image; dual images when includeViewport is set,
+// one image per viewport when a "viewports" list is given)
 app.post('/screenshot', async (req, res) => {
   try {
-    const { url, viewport = 'desktop', fullPage = true, quality = 70, includeViewport = false } = req.body;
+    const { url, viewport = 'desktop', viewports, fullPage = true, quality = 70, includeViewport = false } = req.body;
 
     if (!url || typeof url !== 'string') {
       return res.status(400).json({
@@ -258,26 +453,84 @@ app.post('/screenshot', async (req, res) => {
       });
     }
 
-    const validViewports = ['desktop', 'tablet', 'mobile'];
-    const viewportType = validViewports.includes(viewport) ? viewport : 'desktop';
+    if (viewports !== undefined && (!Array.isArray(viewports) || viewports.length === 0)) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: '"viewports" must be a non-empty array of viewport names, device names or { width, height } objects'
+      });
+    }
+
+    // Reject unknown viewports and malformed options up front rather than silently capturing desktop
+    let viewportType;
+    let captureOptions;
+    try {
+      (viewports || []).forEach(spec => resolveViewport(spec));
+      viewportType = resolveViewport(viewport).name;
+      captureOptions = screenshotOptionsFromRequest(req.body);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: error.message
+      });
+    }
+
+    if (viewports) {
+      const captures = await captureViewports(url, viewports, fullPage, quality, captureOptions);
+      const responsivenessChecks = {};
+      captures.forEach(capture => {
+        responsivenessChecks[capture.viewport.name] = capture.responsivenessChecks || null;
+      });
+      return res.json({
+        success: true,
+        screenshots: captures.map(capture => ({
+          viewport: capture.viewport,
+          base64: capture.buffer.toString('base64'),
+          mimeType: capture.mimeType,
+          size: capture.buffer.length,
+          tiles: tilesToJson(capture.tiles, capture.mimeType),
+          tileScale: capture.tileScale,
+          annotatedBase64: capture.annotated ? capture.annotated.toString('base64') : null,
+          elements: elementCapturesToJson(capture.elements),
+          popups: popupReportToJson(capture.popups)
+        })),
+        responsivenessChecks
+      });
+    }
 
     if (includeViewport && viewportType === 'mobile') {
-      const { fullPage: fullPageBuf, viewport: viewportBuf, responsivenessChecks } = await captureWithViewport(url, quality);
+      const {
+        fullPage: fullPageBuf, viewport: viewportBuf, annotatedFullPage, annotatedViewport,
+        mimeType, tiles, tileScale, responsivenessChecks, mobileMenu, elements, popups
+      } = await captureWithViewport(url, quality, captureOptions);
       return res.json({
         base64: fullPageBuf.toString('base64'),
         viewportBase64: viewportBuf.toString('base64'),
-        responsivenessChecks: responsivenessChecks || null
+        annotatedBase64: annotatedFullPage ? annotatedFullPage.toString('base64') : null,
+        annotatedViewportBase64: annotatedViewport ? annotatedViewport.toString('base64') : null,
+        mimeType,
+        tiles: tilesToJson(tiles, mimeType),
+        tileScale,
+        responsivenessChecks: responsivenessChecks || null,
+        mobileMenu: mobileMenuToJson(mobileMenu),
+        elements: elementCapturesToJson(elements),
+        popups: popupReportToJson(popups)
       });
     }
 
-    const { buffer, responsivenessChecks } = await captureScreenshot(url, viewportType, fullPage, quality);
+    const { buffer, mimeType, tiles, tileScale, annotated, responsivenessChecks, viewport: viewportDetails, elements, popups } = await captureScreenshot(url, viewport, fullPage, quality, captureOptions);
     res.json({
       success: true,
       base64: buffer.toString('base64'),
-      mimeType: 'image/jpeg',
+      mimeType,
+      tiles: tilesToJson(tiles, mimeType),
+      tileScale,
+      annotatedBase64: annotated ? annotated.toString('base64') : null,
       viewport: viewportType,
+      viewportDetails,
       size: buffer.length,
-      responsivenessChecks: responsivenessChecks || null
+      responsivenessChecks: responsivenessChecks || null,
+      elements: elementCapturesToJson(elements),
+      popups: popupReportToJson(popups)
     });
   } catch (error) {
     console.error('[SERVER] Error capturing screenshot:', error);
@@ -289,6 +542,182 @@ app.post('/screenshot', async (req, res) => {
   }
 });
 
+// Compare a fresh capture with the page's approved baseline screenshot
+app.post('/visual-diff', async (req, res) => {
+  try {
+    const { url, viewport = 'desktop', fullPage = true, approveIfMissing = false } = req.body;
+
+    if (!url || typeof url !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: 'Please provide a "url" in the request body'
+      });
+    }
+
+    let viewportType;
+    let captureOptions;
+    let tolerances;
+    try {
+      viewportType = resolveViewport(viewport).name;
+      captureOptions = screenshotOptionsFromRequest(req.body);
+      tolerances = parseDiffOptions(req.body);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: error.message
+      });
+    }
+
+    const { diffImage, ...result } = await runVisualDiff(url, {
+      viewport,
+      hideSelectors: captureOptions.hideSelectors,
+      maskSelectors: captureOptions.maskSelectors,
+      maskColor: captureOptions.maskColor,
+      dismissPopups: captureOptions.popups.dismiss,
+      popupClickSelectors: captureOptions.popups.clickSelectors,
+      popupHideSelectors: captureOptions.popups.hideSelectors,
+      fullPage,
+      threshold: tolerances.threshold,
+      maxMismatchPercent: tolerances.maxMismatchPercent,
+      approveIfMissing
+    });
+
+    res.json({
+      success: true,
+      url,
+      viewport: viewportType,
+      ...result,
+      diffBase64: diffImage ? diffImage.toString('base64') : null,
+      mimeType: diffImage ? 'image/jpeg' : null
+    });
+  } catch (error) {
+    console.error('[SERVER] Error running visual diff:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Visual diff failed',
+      message: error.message
+    });
+  }
+});
+
+// Approve the latest capture of a page as its new baseline
+app.post('/visual-diff/approve', async (req, res) => {
+  try {
+    const { url, viewport = 'desktop', fullPage = true, approvedBy } = req.body;
+    let id = req.body.baselineId || null;
+    if (!id && url) {
+      try {
+        id = baselineId(url, resolveViewport(viewport).name, fullPage !== false);
+      } catch (error) {
+        return res.status(400).json({
+          error: 'Invalid request',
+          message: error.message
+        });
+      }
+    }
+
+    if (!id) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: 'Please provide a "baselineId", or a "url" (with optional viewport and fullPage)'
+      });
+    }
+
+    const baseline = await approveBaseline(id, { approvedBy });
+    if (!baseline) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: `No capture to approve for "${id}". Run /visual-diff for this page first.`
+      });
+    }
+
+    res.json({ success: true, baselineId: id, baseline });
+  } catch (error) {
+    console.error('[SERVER] Error approving baseline:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// List approved baselines
+app.get('/visual-diff/baselines', async (req, res) => {
+  try {
+    const baselines = await listBaselines();
+    res.json({ success: true, baselines, total: baselines.length });
+  } catch (error) {
+    console.error('[SERVER] Error listing baselines:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// Resize one page across a width range and report the widths where the layout breaks
+app.post('/breakpoint-sweep', async (req, res) => {
+  try {
+    const { url, minWidth, maxWidth, step, height, viewport, screenshots = true, fullPage = true, quality = 70 } = req.body;
+
+    if (!url || typeof url !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: 'Please provide a "url" in the request body'
+      });
+    }
+
+    let captureOptions;
+    try {
+      planSweep({ minWidth, maxWidth, step, height, viewport });
+      captureOptions = screenshotOptionsFromRequest(req.body);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: error.message
+      });
+    }
+
+    const result = await runBreakpointSweep(url, {
+      minWidth,
+      maxWidth,
+      step,
+      height,
+      viewport,
+      screenshots,
+      fullPage,
+      quality,
+      capture: {
+        hideSelectors: captureOptions.hideSelectors,
+        maskSelectors: captureOptions.maskSelectors,
+        maskColor: captureOptions.maskColor,
+        dismissPopups: captureOptions.popups.dismiss,
+        popupClickSelectors: captureOptions.popups.clickSelectors,
+        popupHideSelectors: captureOptions.popups.hideSelectors,
+        format: captureOptions.format
+      }
+    });
+
+    res.json({
+      success: result.status !== 'ERROR',
+      ...result,
+      breakpoints: result.breakpoints.map(({ screenshot, ...breakpoint }) => ({
+        ...breakpoint,
+        screenshotBase64: screenshot ? screenshot.toString('base64') : null
+      }))
+    });
+  } catch (error) {
+    console.error('[SERVER] Error running breakpoint sweep:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Breakpoint sweep failed',
+      message: error.message
+    });
+  }
+});
+
 // Check page content against expected content
 // Accepts either direct expectedContent text OR a contentDocLink (Google Docs URL)
 app.post('/check-content', async (req, res) => {
@@ -324,13 +753,199 @@ app.post('/check-content', async (req, res) => {
   }
 });
 
+// Discover pages of a site from robots.txt, sitemaps and same-origin links
+app.post('/crawl', async (req, res) => {
+  try {
+    const { url, include, exclude, useSitemap, respectRobots, ignoreQuery, revealNavigation } = req.body;
+
+    if (!url || typeof url !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: 'Please provide a "url" in the request body'
+      });
+    }
+
+    let limits;
+    try {
+      limits = parseCrawlOptions(req.body);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: error.message
+      });
+    }
+
+    const startTime = Date.now();
+    const result = await discoverPages(url, {
+      ...limits,
+      include,
+      exclude,
+      useSitemap,
+      respectRobots,
+      ignoreQuery,
+      revealNavigation
+    });
+    const duration = Date.now() - startTime;
+
+    res.json({
+      success: true,
+      ...result,
+      metadata: {
+        duration: `${duration}ms`,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('[SERVER] Error crawling site:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Crawl failed',
+      message: error.message
+    });
+  }
+});
+
+// Check a page for references to staging/dev hosts (or to production from staging)
+app.post('/check-environment', async (req, res) => {
+  try {
+    const { url, stagingUrl, productionUrl, allowHosts, devHosts } = req.body;
+
+    if (!url || typeof url !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: 'Please provide a "url" in the request body'
+      });
+    }
+
+    console.log(`[SERVER] Checking environment leakage for: ${url}`);
+
+    const result = await checkEnvironment(url, {
+      stagingUrl,
+      productionUrl,
+      allowHosts,
+      devHosts,
+      detailLimit: req.body.fullDetail ? Infinity : req.body.detailLimit
+    });
+
+    res.json({
+      success: true,
+      url,
+      environmentChecks: result
+    });
+  } catch (error) {
+    console.error('[SERVER] Error checking environment:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// Run an axe-core WCAG audit on a page at one or more viewports
+app.post('/check-accessibility', async (req, res) => {
+  try {
+    const { url, viewports = ['desktop'], tags, disableRules, dismissPopups = true } = req.body;
+
+    if (!url || typeof url !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: 'Please provide a "url" in the request body'
+      });
+    }
+
+    try {
+      if (!Array.isArray(viewports) || viewports.length === 0) {
+        throw new Error('"viewports" must be a non-empty array');
+      }
+      viewports.forEach(resolveViewport);
+      for (const [name, value] of [['tags', tags], ['disableRules', disableRules]]) {
+        if (value !== undefined && (!Array.isArray(value) || value.some(item => typeof item !== 'string'))) {
+          throw new Error(`"${name}" must be an array of strings`);
+        }
+      }
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: error.message
+      });
+    }
+
+    console.log(`[SERVER] Checking accessibility for: ${url}`);
+
+    const result = await checkAccessibility(url, {
+      viewports,
+      tags,
+      disableRules,
+      dismissPopups,
+      detailLimit: req.body.fullDetail ? Infinity : req.body.detailLimit
+    });
+
+    res.json({
+      success: true,
+      url,
+      accessibilityChecks: result
+    });
+  } catch (error) {
+    console.error('[SERVER] Error checking accessibility:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// Tab through a page with real key presses and report focus order, traps, skip links and unreachable menus
+app.post('/keyboard-audit', async (req, res) => {
+  try {
+    const { url, viewport = 'desktop', maxTabs, screenshots = true, quality = 70, dismissPopups = true } = req.body;
+
+    if (!url || typeof url !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: 'Please provide a "url" in the request body'
+      });
+    }
+
+    try {
+      resolveViewport(viewport);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: error.message
+      });
+    }
+
+    console.log(`[SERVER] Running keyboard audit for: ${url}`);
+
+    const result = await runKeyboardAudit(url, { viewport, maxTabs, screenshots, quality, dismissPopups });
+
+    res.json({
+      success: result.status !== 'ERROR',
+      ...result,
+      focusOrder: result.focusOrder.map(({ screenshot, ...stop }) => ({
+        ...stop,
+        screenshotBase64: screenshot ? screenshot.toString('base64') : null
+      }))
+    });
+  } catch (error) {
+    console.error('[SERVER] Error running keyboard audit:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Keyboard audit failed',
+      message: error.message
+    });
+  }
+});
+
 // ============================================================
 // Server-side start-qa orchestrator
 // Responds immediately, then runs link checks + forwards to n8n in the background
 // This ensures the process survives browser refresh/navigation/close
 // ============================================================
 app.post('/start-qa', async (req, res) => {
-  const { project_data, pages, settings, n8n_webhook_url } = req.body;
+  const { project_data, pages, settings, n8n_webhook_url, discover, discover_options } = req.body;
 
   if (!project_data || !project_data.project_name) {
     return res.status(400).json({
@@ -339,6 +954,24 @@ app.post('/start-qa', async (req, res) => {
     });
   }
 
+  if (discover && !project_data.staging_url) {
+    return res.status(400).json({
+      error: 'Invalid request',
+      message: 'project_data.staging_url is required when discover is enabled'
+    });
+  }
+
+  if (discover) {
+    try {
+      parseCrawlOptions(discover_options || {});
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: `discover_options: ${error.message}`
+      });
+    }
+  }
+
   const webhookUrl = n8n_webhook_url || N8N_WEBHOOK_URL;
   if (!webhookUrl) {
     return res.status(400).json({
@@ -396,7 +1029,7 @@ app.post('/start-qa', async (req, res) => {
   activeJobs.set(jobKey, {
     type: 'start-qa',
     startedAt: Date.now(),
-    stage: 'checking_links',
+    stage: discover ? 'discovering_pages' : 'checking_links',
     totalPages: (pages || []).length,
     checkedPages: 0,
     projectName: project_data.project_name,
@@ -406,15 +1039,34 @@ app.post('/start-qa', async (req, res) => {
   res.json({ status: 'processing', project_name: project_data.project_name });
 
   // Background processing - runs after response is sent
+  // qaPages starts as the provided pages and grows if discovery is enabled
+  let qaPages = pages || [];
   (async () => {
     try {
-      console.log(`[START-QA] Starting server-side QA for "${project_data.project_name}" with ${(pages || []).length} pages`);
+      console.log(`[START-QA] Starting server-side QA for "${project_data.project_name}" with ${qaPages.length} pages`);
+
+      // Step 0: Discover additional pages from the staging site
+      if (discover) {
+        try {
+          const discovery = await discoverPages(project_data.staging_url, discover_options || {});
+          qaPages = mergeDiscoveredPages(qaPages, discovery.pages);
+          console.log(`[START-QA] Discovery found ${discovery.pages.length} pages, ${qaPages.length} pages after merge`);
+        } catch (discoverError) {
+          console.warn(`[START-QA] Page discovery failed, continuing with provided pages:`, discoverError.message);
+        }
+
+        const job = activeJobs.get(jobKey);
+        if (job) {
+          job.stage = 'checking_links';
+          job.totalPages = qaPages.length;
+        }
+      }
 
       // Step 1: Run Playwright link checks on the provided pages
-      let pagesWithLinkChecks = pages || [];
-      if (pages && pages.length > 0) {
+      let pagesWithLinkChecks = qaPages;
+      if (qaPages.length > 0) {
         try {
-          const playwrightPages = pages.map(p => ({
+          const playwrightPages = qaPages.map(p => ({
             url: p.page_url || p.pageUrl,
             pageName: p.page_name || p.pageName || 'Page'
           })).filter(p => p.url);
@@ -433,17 +1085,33 @@ app.post('/start-qa', async (req, res) => {
               }
             };
 
-            const linkResults = await checkMultiplePages(playwrightPages, concurrency, onPageComplete);
+            const linkResults = await checkMultiplePages(playwrightPages, concurrency, onPageComplete, {
+              hostConcurrency: settings?.link_host_concurrency,
+              hostDelayMs: settings?.link_host_delay_ms,
+              maxRedirectChain: settings?.max_redirect_chain,
+              newTabPolicy: settings?.new_tab_policy,
+              linkRules: settings?.link_rules,
+              detailLimit: settings?.link_detail_limit,
+              fullDetail: settings?.link_full_detail,
+              soft404: settings?.soft_404_detection,
+              browserFallback: settings?.link_browser_fallback,
+              contactLinks: settings?.contact_links,
+              revealNavigation: settings?.reveal_navigation,
+              viewport: settings?.link_viewport,
+              environment: environmentCheckOptions(project_data, settings)
+            });
             const duration = Date.now() - startTime;
             console.log(`[START-QA] Link checks completed for ${linkResults.length} pages in ${duration}ms (concurrency=${concurrency})`);
 
             // Enrich pages with link check results
-            pagesWithLinkChecks = pages.map(p => {
+            pagesWithLinkChecks = qaPages.map(p => {
               const pageUrl = (p.page_url || p.pageUrl || '').replace(/\/+$/, '');
               const lr = linkResults.find(l => (l.url || '').replace(/\/+$/, '') === pageUrl);
               return {
                 ...p,
-                link_checks: lr?.linkChecks || null
+                link_checks: lr?.linkChecks || null,
+                mixed_content_checks: lr?.mixedContentChecks || null,
+                environment_checks: lr?.environmentChecks || null
               };
             });
           }
@@ -452,6 +1120,11 @@ app.post('/start-qa', async (req, res) => {
         }
       }
 
+      // Step 1b: Optional accessibility audit, one page at a time
+      if (settings?.accessibility_checks && pagesWithLinkChecks.length > 0) {
+        pagesWithLinkChecks = await addAccessibilityChecks(pagesWithLinkChecks, settings, jobKey, 'START-QA');
+      }
+
       // Step 2: Forward the start request to n8n with enriched pages
       const job = activeJobs.get(jobKey);
       if (job) job.stage = 'forwarding_to_n8n';
@@ -473,7 +1146,7 @@ app.post('/start-qa', async (req, res) => {
       if (jobFinal) jobFinal.stage = 'completed';
     } catch (error) {
       console.error(`[START-QA] Background processing failed for "${project_data.project_name}":`, error.message);
-      await markPagesAsFailed(pages, 'START-QA');
+      await markPagesAsFailed(qaPages, 'START-QA');
     } finally {
       activeJobs.delete(jobKey);
       console.log(`[START-QA] Job removed from activeJobs: "${project_data.project_name}"`);
@@ -487,7 +1160,7 @@ app.post('/start-qa', async (req, res) => {
 // This ensures the process survives browser refresh/navigation/close
 // ============================================================
 app.post('/rerun', async (req, res) => {
-  const { project_id, pages, settings, n8n_webhook_url } = req.body;
+  const { project_id, pages, settings, n8n_webhook_url, staging_url, production_url } = req.body;
 
   if (!project_id) {
     return res.status(400).json({
@@ -559,6 +1232,9 @@ app.post('/rerun', async (req, res) => {
           if (playwrightPages.length > 0) {
             const concurrency = parseInt(settings?.concurrency) || parseInt(process.env.MAX_CONCURRENCY) || 5;
             console.log(`[RERUN] Using concurrency: ${concurrency}`);
+            const projectUrls = staging_url || production_url
+              ? { staging_url, production_url }
+              : await loadProjectUrls(project_id);
             const startTime = Date.now();
 
             // Progress callback: update activeJobs as each page batch completes
@@ -570,7 +1246,21 @@ app.post('/rerun', async (req, res) => {
               }
             };
 
-            const linkResults = await checkMultiplePages(playwrightPages, concurrency, onPageComplete);
+            const linkResults = await checkMultiplePages(playwrightPages, concurrency, onPageComplete, {
+              hostConcurrency: settings?.link_host_concurrency,
+              hostDelayMs: settings?.link_host_delay_ms,
+              maxRedirectChain: settings?.max_redirect_chain,
+              newTabPolicy: settings?.new_tab_policy,
+              linkRules: settings?.link_rules,
+              detailLimit: settings?.link_detail_limit,
+              fullDetail: settings?.link_full_detail,
+              soft404: settings?.soft_404_detection,
+              browserFallback: settings?.link_browser_fallback,
+              contactLinks: settings?.contact_links,
+              revealNavigation: settings?.reveal_navigation,
+              viewport: settings?.link_viewport,
+              environment: environmentCheckOptions(projectUrls, settings)
+            });
             const duration = Date.now() - startTime;
             console.log(`[RERUN] Link checks completed for ${linkResults.length} pages in ${duration}ms (concurrency=${concurrency})`);
 
@@ -581,7 +1271,9 @@ app.post('/rerun', async (req, res) => {
               return {
                 page_url: p.page_url || p.pageUrl,
                 page_name: p.page_name || p.pageName || 'Page',
-                link_checks: lr?.linkChecks || null
+                link_checks: lr?.linkChecks || null,
+                mixed_content_checks: lr?.mixedContentChecks || null,
+                environment_checks: lr?.environmentChecks || null
               };
             }).filter(p => p.link_checks != null);
           }
@@ -590,6 +1282,11 @@ app.post('/rerun', async (req, res) => {
         }
       }
 
+      // Step 1b: Optional accessibility audit, one page at a time
+      if (settings?.accessibility_checks && pagesWithLinkChecks.length > 0) {
+        pagesWithLinkChecks = await addAccessibilityChecks(pagesWithLinkChecks, settings, jobKey, 'RERUN');
+      }
+
       // Step 2: Forward the rerun request to n8n with link check results
       const job = activeJobs.get(jobKey);
       if (job) job.stage = 'forwarding_to_n8n';
@@ -768,6 +1465,12 @@ const server = app.listen(PORT, () => {
 ║   • POST /fetch-page                                     ║
 ║   • POST /screenshot                                     ║
 ║   • POST /check-content                                  ║
+║   • POST /crawl (page discovery)                         ║
+║   • POST /check-environment (staging/dev leakage)        ║
+║   • POST /visual-diff (+ /approve, GET /baselines)       ║
+║   • POST /breakpoint-sweep (layout breaks by width)      ║
+║   • POST /check-accessibility (axe-core WCAG audit)      ║
+║   • POST /keyboard-audit (tab order, traps, skip links)  ║
 ║   • POST /start-qa (server-side orchestrator)             ║
 ║   • POST /rerun (server-side orchestrator)               ║
 ╚═══════════════════════════════════════════════════════════╝
@@ -777,13 +1480,15 @@ const server = app.listen(PORT, () => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('[SERVER] SIGTERM received, shutting down gracefully');
-  server && server.close(() => {
+  server && server.close(async () => {
     console.log('[SERVER] Server closed');
+    await closeBrowserPool();
     process.exit(0);
   });
 });
 
-process.on('SIGINT', () => {
+process.on('SIGINT', async () => {
   console.log('[SERVER] SIGINT received, shutting down gracefully');
+  await closeBrowserPool();
   process.exit(0);
 });
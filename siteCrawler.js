@@ -0,0 +1,446 @@
+const axios = require('axios');
+const zlib = require('zlib');
+const { extractPageLinks } = require('./linkChecker');
+const { matchesAnyPattern } = require('./urlPatterns');
+
+const CRAWLER_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36';
+
+// File extensions that are never HTML pages and should not be queued for QA
+const NON_PAGE_EXTENSIONS = /\.(pdf|jpe?g|png|gif|webp|svg|ico|bmp|tiff?|mp4|webm|mov|avi|mp3|wav|ogg|zip|gz|rar|7z|tar|docx?|xlsx?|pptx?|csv|txt|xml|json|js|css|woff2?|ttf|eot)$/i;
+
+// Sitemap indexes can nest; stop following after this many sitemap files
+const MAX_SITEMAP_FILES = 50;
+
+// Crawl defaults and limits
+const DEFAULT_MAX_DEPTH = 2;
+const DEFAULT_MAX_PAGES = 50;
+const MAX_CRAWL_PAGES = parseInt(process.env.MAX_CRAWL_PAGES, 10) || 500;
+const DEFAULT_CRAWL_CONCURRENCY = 3;
+
+/**
+ * Normalize a URL for de-duplication
+ * - Drops the #fragment
+ * - Optionally drops the ?query string
+ * - Removes trailing slashes (except for the root path)
+ * @param {string} href - URL to normalize
+ * @param {boolean} ignoreQuery - Whether to drop the query string
+ * @returns {string|null} Normalized URL, or null if invalid
+ */
+function normalizeUrl(href, ignoreQuery = true) {
+  try {
+    const url = new URL(href);
+    url.hash = '';
+    if (ignoreQuery) url.search = '';
+    if (url.pathname.length > 1) {
+      url.pathname = url.pathname.replace(/\/+$/, '') || '/';
+    }
+    return url.toString();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Derive a readable page name from a URL path
+ * e.g. "/" → "Home", "/about-us/" → "About Us", "/blog/my-post" → "My Post"
+ * @param {string} pageUrl - Page URL
+ * @returns {string} Page name
+ */
+function pageNameFromUrl(pageUrl) {
+  try {
+    const segments = new URL(pageUrl).pathname.split('/').filter(Boolean);
+    if (segments.length === 0) return 'Home';
+    const last = decodeURIComponent(segments[segments.length - 1]).replace(/\.[a-z0-9]+$/i, '');
+    return last
+      .split(/[-_\s]+/)
+      .filter(Boolean)
+      .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+      .join(' ') || 'Page';
+  } catch {
+    return 'Page';
+  }
+}
+
+/**
+ * Parse robots.txt into the rules that apply to all crawlers ("User-agent: *")
+ * plus any Sitemap declarations.
+ * @param {string} text - robots.txt contents
+ * @returns {{rules: Array<{type: string, path: string}>, sitemaps: string[]}}
+ */
+function parseRobotsTxt(text) {
+  const rules = [];
+  const sitemaps = [];
+  let groupAgents = [];
+  let inRules = false;
+
+  for (const rawLine of (text || '').split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    if (!line) continue;
+
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'sitemap') {
+      if (value) sitemaps.push(value);
+      continue;
+    }
+
+    if (field === 'user-agent') {
+      // A user-agent line after rules starts a new group
+      if (inRules) {
+        groupAgents = [];
+        inRules = false;
+      }
+      groupAgents.push(value.toLowerCase());
+      continue;
+    }
+
+    if (field === 'allow' || field === 'disallow') {
+      inRules = true;
+      if (groupAgents.includes('*') && value) {
+        rules.push({ type: field, path: value });
+      }
+    }
+  }
+
+  return { rules, sitemaps };
+}
+
+/**
+ * Check whether a URL path is allowed by parsed robots.txt rules.
+ * Uses the longest matching rule; Allow wins ties. Supports * and $ wildcards.
+ * @param {string} pageUrl - URL to test
+ * @param {Array<{type: string, path: string}>} rules - Rules from parseRobotsTxt
+ * @returns {boolean} True if crawling is allowed
+ */
+function isAllowedByRobots(pageUrl, rules) {
+  if (!rules || rules.length === 0) return true;
+
+  let path;
+  try {
+    const url = new URL(pageUrl);
+    path = url.pathname + url.search;
+  } catch {
+    return false;
+  }
+
+  let best = null;
+  for (const rule of rules) {
+    // "$" is left unescaped so a trailing "$" anchors the end of the path
+    const source = rule.path
+      .split('*')
+      .map(part => part.replace(/[.+?^{}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+    if (!new RegExp('^' + source).test(path)) continue;
+
+    if (!best || rule.path.length > best.path.length ||
+        (rule.path.length === best.path.length && rule.type === 'allow')) {
+      best = rule;
+    }
+  }
+
+  return !best || best.type === 'allow';
+}
+
+/**
+ * Fetch and parse robots.txt for an origin
+ * @param {string} origin - Site origin (e.g. https://example.com)
+ * @returns {Promise<{found: boolean, rules: Array, sitemaps: string[]}>}
+ */
+async function fetchRobotsTxt(origin) {
+  try {
+    const response = await axios.get(`${origin}/robots.txt`, {
+      timeout: 10000,
+      maxRedirects: 5,
+      responseType: 'text',
+      headers: { 'User-Agent': CRAWLER_USER_AGENT },
+      validateStatus: (status) => status < 500
+    });
+
+    if (response.status >= 400 || typeof response.data !== 'string') {
+      console.log(`[CRAWLER] No robots.txt at ${origin} (${response.status})`);
+      return { found: false, rules: [], sitemaps: [] };
+    }
+
+    const parsed = parseRobotsTxt(response.data);
+    console.log(`[CRAWLER] robots.txt: ${parsed.rules.length} rule(s), ${parsed.sitemaps.length} sitemap(s)`);
+    return { found: true, ...parsed };
+  } catch (error) {
+    console.log(`[CRAWLER] Could not fetch robots.txt for ${origin}: ${error.message}`);
+    return { found: false, rules: [], sitemaps: [] };
+  }
+}
+
+/**
+ * Extract <loc> values from a sitemap or sitemap index document
+ * @param {string} xml - Sitemap XML
+ * @returns {{isIndex: boolean, locations: string[]}}
+ */
+function parseSitemapXml(xml) {
+  const isIndex = /<sitemapindex[\s>]/i.test(xml);
+  const locations = [];
+  const locRegex = /<loc>\s*(?:<!\[CDATA\[)?\s*([^<\]]+?)\s*(?:\]\]>)?\s*<\/loc>/gi;
+  let match;
+  while ((match = locRegex.exec(xml)) !== null) {
+    locations.push(
+      match[1]
+        .replace(/&amp;/g, '&')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+    );
+  }
+  return { isIndex, locations };
+}
+
+/**
+ * Fetch sitemaps (following sitemap indexes) and return every page URL listed
+ * @param {string[]} sitemapUrls - Sitemap URLs to start from
+ * @returns {Promise<{pageUrls: string[], sitemapsRead: string[]}>}
+ */
+async function fetchSitemapUrls(sitemapUrls) {
+  const queue = [...sitemapUrls];
+  const seen = new Set();
+  const pageUrls = [];
+  const sitemapsRead = [];
+
+  while (queue.length > 0 && seen.size < MAX_SITEMAP_FILES) {
+    const sitemapUrl = queue.shift();
+    if (seen.has(sitemapUrl)) continue;
+    seen.add(sitemapUrl);
+
+    try {
+      const response = await axios.get(sitemapUrl, {
+        timeout: 15000,
+        maxRedirects: 5,
+        responseType: 'arraybuffer',
+        headers: { 'User-Agent': CRAWLER_USER_AGENT },
+        validateStatus: (status) => status < 500
+      });
+
+      if (response.status >= 400) {
+        console.log(`[CRAWLER] Sitemap not available (${response.status}): ${sitemapUrl}`);
+        continue;
+      }
+
+      let buffer = Buffer.from(response.data);
+      // Gzipped sitemaps (.xml.gz) start with the gzip magic bytes
+      if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+        buffer = zlib.gunzipSync(buffer);
+      }
+
+      const { isIndex, locations } = parseSitemapXml(buffer.toString('utf8'));
+      sitemapsRead.push(sitemapUrl);
+
+      if (isIndex) {
+        console.log(`[CRAWLER] Sitemap index ${sitemapUrl} lists ${locations.length} sitemap(s)`);
+        queue.push(...locations);
+      } else {
+        console.log(`[CRAWLER] Sitemap ${sitemapUrl} lists ${locations.length} URL(s)`);
+        pageUrls.push(...locations);
+      }
+    } catch (error) {
+      console.log(`[CRAWLER] Failed to read sitemap ${sitemapUrl}: ${error.message}`);
+    }
+  }
+
+  return { pageUrls, sitemapsRead };
+}
+
+/**
+ * Parse and validate the numeric crawl options. Values may be numbers or numeric strings
+ * (request bodies and project settings); maxPages is capped at MAX_CRAWL_PAGES.
+ * @param {Object} options - See discoverPages
+ * @returns {{maxDepth: number, maxPages: number, concurrency: number}}
+ * @throws {Error} For values that are not non-negative integers
+ */
+function parseCrawlOptions(options = {}) {
+  const parse = (value, field, fallback, min) => {
+    if (value === undefined || value === null || value === '') return fallback;
+    const parsed = Number(value);
+    if (!Number.isInteger(parsed) || parsed < min) {
+      throw new Error(`"${field}" must be an integer of at least ${min}`);
+    }
+    return parsed;
+  };
+
+  return {
+    maxDepth: parse(options.maxDepth, 'maxDepth', DEFAULT_MAX_DEPTH, 0),
+    maxPages: Math.min(MAX_CRAWL_PAGES, parse(options.maxPages, 'maxPages', DEFAULT_MAX_PAGES, 1)),
+    concurrency: parse(options.concurrency, 'concurrency', DEFAULT_CRAWL_CONCURRENCY, 1)
+  };
+}
+
+/**
+ * Discover the pages of a site starting from a URL.
+ * Combines robots.txt sitemap declarations, /sitemap.xml (and sitemap indexes)
+ * with a breadth-first crawl of same-origin links. The start page is loaded first and
+ * the site's origin taken from where it ends up, so a staging URL that redirects
+ * (http -> https, bare domain -> www) is crawled on its final host.
+ * @param {string} startUrl - URL to start from (usually the project's staging_url)
+ * @param {Object} options - Crawl options
+ * @param {number} options.maxDepth - Maximum link depth from the start URL (default: 2)
+ * @param {number} options.maxPages - Maximum number of pages to return (default: 50, max: MAX_CRAWL_PAGES)
+ * @param {string[]} options.include - Only keep URLs matching one of these patterns
+ * @param {string[]} options.exclude - Drop URLs matching any of these patterns
+ * @param {boolean} options.useSitemap - Read sitemaps (default: true)
+ * @param {boolean} options.respectRobots - Skip URLs disallowed by robots.txt (default: true)
+ * @param {boolean} options.ignoreQuery - Treat URLs differing only by query as one page (default: true)
+ * @param {number} options.concurrency - Pages loaded in parallel while crawling (default: 3)
+ * @param {boolean} options.revealNavigation - Open menus / accordions on each crawled page (default: false)
+ * @returns {Promise<Object>} Discovery results with the page list
+ */
+async function discoverPages(startUrl, options = {}) {
+  const { maxDepth, maxPages, concurrency } = parseCrawlOptions(options);
+  const include = Array.isArray(options.include) ? options.include : [];
+  const exclude = Array.isArray(options.exclude) ? options.exclude : [];
+  const useSitemap = options.useSitemap !== false;
+  const respectRobots = options.respectRobots !== false;
+  const ignoreQuery = options.ignoreQuery !== false;
+  const loadOptions = { revealNavigation: options.revealNavigation === true };
+
+  const requestedStart = normalizeUrl(startUrl, ignoreQuery);
+  if (!requestedStart) {
+    throw new Error(`Invalid start URL: ${startUrl}`);
+  }
+
+  // Links on a redirected site point at the final host, so that is the origin to crawl
+  const loaded = new Map(); // normalized URL -> extractPageLinks result
+  let start = requestedStart;
+  try {
+    const startPage = await extractPageLinks(requestedStart, loadOptions);
+    start = normalizeUrl(startPage.finalUrl, ignoreQuery) || requestedStart;
+    loaded.set(start, startPage);
+    if (start !== requestedStart) {
+      console.log(`[CRAWLER] Start URL ${requestedStart} redirected to ${start}`);
+    }
+  } catch (error) {
+    console.log(`[CRAWLER] Failed to load ${requestedStart}: ${error.message}`);
+    loaded.set(start, null);
+  }
+  const origin = new URL(start).origin;
+
+  console.log(`[CRAWLER] Discovering pages from ${start} (maxDepth=${maxDepth}, maxPages=${maxPages})`);
+
+  const robots = await fetchRobotsTxt(origin);
+  const robotsRules = respectRobots ? robots.rules : [];
+
+  const discovered = new Map(); // normalized URL -> page entry
+  const skipped = { robots: 0, filtered: 0, external: 0 };
+  let truncated = false;
+
+  /**
+   * Add a URL to the discovered set if it passes all filters.
+   * Returns true when the URL is new and was accepted.
+   */
+  const addPage = (href, source, depth) => {
+    const normalized = normalizeUrl(href, ignoreQuery);
+    if (!normalized || discovered.has(normalized)) return false;
+
+    const url = new URL(normalized);
+    if (url.origin !== origin) {
+      skipped.external++;
+      return false;
+    }
+    if (NON_PAGE_EXTENSIONS.test(url.pathname)) return false;
+    if (include.length > 0 && !matchesAnyPattern(normalized, include)) {
+      skipped.filtered++;
+      return false;
+    }
+    if (matchesAnyPattern(normalized, exclude)) {
+      skipped.filtered++;
+      return false;
+    }
+    if (!isAllowedByRobots(normalized, robotsRules)) {
+      skipped.robots++;
+      return false;
+    }
+    if (discovered.size >= maxPages) {
+      truncated = true;
+      return false;
+    }
+
+    discovered.set(normalized, { url: normalized, pageName: pageNameFromUrl(normalized), source, depth });
+    return true;
+  };
+
+  // The start page is always included, even if filters would exclude it
+  discovered.set(start, { url: start, pageName: pageNameFromUrl(start), source: 'start', depth: 0 });
+
+  // Step 1: Sitemaps
+  let sitemapsRead = [];
+  if (useSitemap) {
+    const sitemapCandidates = robots.sitemaps.length > 0 ? robots.sitemaps : [`${origin}/sitemap.xml`];
+    const sitemapResult = await fetchSitemapUrls(sitemapCandidates);
+    sitemapsRead = sitemapResult.sitemapsRead;
+    for (const pageUrl of sitemapResult.pageUrls) {
+      addPage(pageUrl, 'sitemap', null);
+    }
+  }
+
+  // Step 2: Breadth-first crawl of same-origin links
+  let frontier = [start];
+  const visited = new Set();
+  for (let depth = 0; depth < maxDepth && frontier.length > 0 && !truncated; depth++) {
+    const nextFrontier = [];
+
+    for (let i = 0; i < frontier.length; i += concurrency) {
+      const batch = frontier.slice(i, i + concurrency).filter(u => !visited.has(u));
+      batch.forEach(u => visited.add(u));
+
+      const batchResults = await Promise.all(batch.map(async (pageUrl) => {
+        if (loaded.has(pageUrl)) return loaded.get(pageUrl);
+        try {
+          return await extractPageLinks(pageUrl, loadOptions);
+        } catch (error) {
+          console.log(`[CRAWLER] Failed to load ${pageUrl}: ${error.message}`);
+          return null;
+        }
+      }));
+
+      for (const result of batchResults) {
+        if (!result) continue;
+        for (const link of result.links) {
+          if (addPage(link.href, 'crawl', depth + 1)) {
+            nextFrontier.push(normalizeUrl(link.href, ignoreQuery));
+          }
+        }
+      }
+    }
+
+    console.log(`[CRAWLER] Depth ${depth + 1}: ${nextFrontier.length} new page(s), ${discovered.size} total`);
+    frontier = nextFrontier;
+  }
+
+  const pages = [...discovered.values()];
+  console.log(`[CRAWLER] Discovered ${pages.length} page(s) for ${origin}${truncated ? ' (limit reached)' : ''}`);
+
+  return {
+    startUrl: start,
+    requestedUrl: requestedStart,
+    origin,
+    pages,
+    totalPages: pages.length,
+    truncated,
+    robots: {
+      found: robots.found,
+      respected: respectRobots,
+      disallowRules: robots.rules.filter(r => r.type === 'disallow').length
+    },
+    sitemaps: sitemapsRead,
+    skipped
+  };
+}
+
+module.exports = {
+  discoverPages,
+  parseCrawlOptions,
+  normalizeUrl,
+  pageNameFromUrl,
+  parseRobotsTxt,
+  isAllowedByRobots,
+  parseSitemapXml
+};
@@ -0,0 +1,158 @@
+const axios = require('axios');
+const crypto = require('crypto');
+
+// Title/heading wording that means "this page does not exist". Only full error phrases:
+// a bare "404" or "not found" also appears in brand names and empty search results
+const NOT_FOUND_PHRASES = /\b(page not found|404\s*[-–:|]?\s*(page\s+)?not found|not found\s*[-–:|]?\s*404|error\s*404|404\s*error|page (does not|doesn't) exist|page (cannot|can't|could not|couldn't) be found|page (is )?missing|page no longer exists)\b/i;
+
+// Word-set similarity above which a page is considered the site's 404 template
+const TEMPLATE_SIMILARITY = 0.9;
+// When the site returns real 404s, a not-found phrase alone is a weak signal: the page
+// must also look somewhat like the 404 template
+const PHRASE_TEMPLATE_SIMILARITY = 0.6;
+// Similarity between the bogus URL and the home page above which the site serves
+// one shell for every URL (SPA or catch-all), so template comparison is meaningless
+const CATCH_ALL_SIMILARITY = 0.95;
+
+/**
+ * Strip markup and return readable text, title and first h1 of an HTML document
+ * @param {string} html - Raw HTML
+ * @returns {{title: string, h1: string, text: string}}
+ */
+function extractHtmlText(html) {
+  const title = (html.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1] || '').replace(/\s+/g, ' ').trim();
+  const h1 = (html.match(/<h1[^>]*>([\s\S]*?)<\/h1>/i)?.[1] || '').replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
+  const text = html
+    .replace(/<(script|style|noscript|template)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&[a-z#0-9]+;/gi, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return { title, h1, text };
+}
+
+/**
+ * Jaccard similarity of the word sets of two texts
+ */
+function wordSimilarity(a, b) {
+  const wordsA = new Set(a.toLowerCase().split(/\W+/).filter(w => w.length > 2));
+  const wordsB = new Set(b.toLowerCase().split(/\W+/).filter(w => w.length > 2));
+  if (wordsA.size === 0 && wordsB.size === 0) return 1;
+  let shared = 0;
+  for (const word of wordsA) {
+    if (wordsB.has(word)) shared++;
+  }
+  return shared / (wordsA.size + wordsB.size - shared);
+}
+
+/**
+ * GET a URL and extract what is needed to compare it with a 404 template
+ * @param {string} url - URL to fetch
+ * @param {number} timeout - Request timeout in ms
+ * @returns {Promise<{status: number, isHtml: boolean, title: string, h1: string, text: string}|null>}
+ */
+async function fetchPageSignature(url, timeout = 10000) {
+  try {
+    const response = await axios.get(url, {
+      timeout,
+      maxRedirects: 5,
+      responseType: 'text',
+      maxContentLength: 5 * 1024 * 1024,
+      headers: { 'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36' },
+      validateStatus: () => true
+    });
+    const isHtml = /text\/html|application\/xhtml/i.test(response.headers['content-type'] || '');
+    const html = isHtml && typeof response.data === 'string' ? response.data : '';
+    return { status: response.status, isHtml, ...extractHtmlText(html) };
+  } catch (error) {
+    console.log(`[SOFT-404] Could not fetch ${url}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Fingerprint an origin's "not found" page by requesting a URL that cannot exist.
+ * Also fetches the home page to detect sites that serve the same shell for every URL.
+ * @param {string} origin - Site origin
+ * @returns {Promise<{bogusUrl: string, status: number|null, signature: Object|null, comparable: boolean}>}
+ */
+async function getSoft404Fingerprint(origin) {
+  const token = `qa-soft-404-${crypto.randomBytes(6).toString('hex')}`;
+  const bogusUrl = `${origin}/${token}`;
+
+  const [signature, home] = await Promise.all([
+    fetchPageSignature(bogusUrl),
+    fetchPageSignature(`${origin}/`)
+  ]);
+
+  if (!signature || !signature.isHtml) {
+    return { bogusUrl, status: signature?.status || null, signature: null, comparable: false };
+  }
+
+  // Drop the bogus path from the template text so it does not skew comparisons
+  signature.text = signature.text.split(`/${token}`).join(' ');
+
+  const catchAll = home && home.isHtml && wordSimilarity(signature.text, home.text) >= CATCH_ALL_SIMILARITY;
+  if (catchAll) {
+    console.log(`[SOFT-404] ${origin} serves the same document for unknown URLs; using phrase detection only`);
+  }
+
+  console.log(`[SOFT-404] Fingerprinted ${origin}: bogus URL returned ${signature.status} ("${signature.title}")`);
+  return { bogusUrl, status: signature.status, signature, comparable: !catchAll };
+}
+
+/**
+ * Decide whether a page that returned 2xx is really a "not found" page
+ * @param {Object} page - Signature from fetchPageSignature
+ * @param {Object} fingerprint - From getSoft404Fingerprint
+ * @returns {{soft404: boolean, reason: string|null, similarity: number|null}}
+ */
+function detectSoft404(page, fingerprint) {
+  if (!page || !page.isHtml || page.status >= 300) {
+    return { soft404: false, reason: null, similarity: null };
+  }
+
+  const similarity = fingerprint?.comparable && fingerprint.signature
+    ? Math.round(wordSimilarity(page.text, fingerprint.signature.text) * 100) / 100
+    : null;
+
+  // An origin that answers unknown URLs with a real 4xx rarely serves soft 404s
+  const returnsReal404s = fingerprint?.status >= 400 && fingerprint.status < 500;
+  const phraseIn = NOT_FOUND_PHRASES.test(page.title) ? `title "${page.title}"`
+    : (NOT_FOUND_PHRASES.test(page.h1) ? `heading "${page.h1}"` : null);
+  if (phraseIn && (!returnsReal404s || (similarity !== null && similarity >= PHRASE_TEMPLATE_SIMILARITY))) {
+    return { soft404: true, reason: `Page returns ${page.status} but its ${phraseIn} says the page was not found`, similarity };
+  }
+
+  if (similarity !== null && similarity >= TEMPLATE_SIMILARITY) {
+    return { soft404: true, reason: `Page returns ${page.status} but matches the site's 404 template (${Math.round(similarity * 100)}% similar)`, similarity };
+  }
+
+  return { soft404: false, reason: null, similarity };
+}
+
+/**
+ * Fetch a URL and check it against the origin's 404 fingerprint
+ * @param {string} url - Internal URL that returned 2xx
+ * @param {Object} fingerprint - From getSoft404Fingerprint
+ * @returns {Promise<{broken: boolean, soft404: boolean, reason: string|null, similarity: number|null}>}
+ */
+async function checkSoft404(url, fingerprint) {
+  const page = await fetchPageSignature(url);
+  if (page) {
+    // Not-found templates often echo the requested path; drop it as done for the fingerprint
+    const { pathname } = new URL(url);
+    if (pathname.length > 1) page.text = page.text.split(pathname).join(' ');
+  }
+  const result = detectSoft404(page, fingerprint);
+  // "broken" stays false so the link cache treats this like any other lookup
+  return { broken: false, ...result };
+}
+
+module.exports = {
+  getSoft404Fingerprint,
+  checkSoft404,
+  detectSoft404,
+  extractHtmlText,
+  wordSimilarity
+};
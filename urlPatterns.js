@@ -0,0 +1,85 @@
+/**
+ * Compile a URL pattern into a matcher function.
+ * Supported forms:
+ *   - "/regex/flags"  → regular expression tested against the full URL
+ *   - "*.pdf", "/blog/*" → glob where * matches any run of characters
+ *   - "example.com"   → bare hostname, matches that host and its subdomains
+ *   - "/about"        → plain substring match against the full URL
+ * @param {string|RegExp} pattern - Pattern to compile
+ * @returns {(url: string) => boolean} Matcher function
+ */
+function compileUrlPattern(pattern) {
+  if (pattern instanceof RegExp) {
+    return (url) => pattern.test(url);
+  }
+
+  if (typeof pattern !== 'string' || pattern.length === 0) {
+    return () => false;
+  }
+
+  // Regex literal: /.../flags
+  const regexMatch = pattern.match(/^\/(.+)\/([gimsuy]*)$/);
+  if (regexMatch) {
+    try {
+      const regex = new RegExp(regexMatch[1], regexMatch[2].replace('g', ''));
+      return (url) => regex.test(url);
+    } catch {
+      console.warn(`[PATTERNS] Invalid regex pattern ignored: ${pattern}`);
+      return () => false;
+    }
+  }
+
+  // Glob: escape regex specials, then turn * into .*
+  if (pattern.includes('*')) {
+    const source = pattern
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+    const regex = new RegExp(source, 'i');
+    return (url) => regex.test(url);
+  }
+
+  // Bare hostname: exact host or any subdomain
+  if (/^[a-z0-9-]+(\.[a-z0-9-]+)+$/i.test(pattern)) {
+    const domain = pattern.toLowerCase();
+    return (url) => {
+      try {
+        const hostname = new URL(url).hostname.toLowerCase();
+        return hostname === domain || hostname.endsWith('.' + domain);
+      } catch {
+        return false;
+      }
+    };
+  }
+
+  const needle = pattern.toLowerCase();
+  return (url) => url.toLowerCase().includes(needle);
+}
+
+/**
+ * Check whether a URL matches any of the given patterns
+ * @param {string} url - URL to test
+ * @param {Array<string|RegExp>} patterns - Patterns (see compileUrlPattern)
+ * @returns {boolean} True if at least one pattern matches
+ */
+function matchesAnyPattern(url, patterns) {
+  if (!url || !Array.isArray(patterns) || patterns.length === 0) return false;
+  return patterns.some(pattern => compileUrlPattern(pattern)(url));
+}
+
+/**
+ * Return the first pattern that matches a URL
+ * @param {string} url - URL to test
+ * @param {Array<string|RegExp>} patterns - Patterns (see compileUrlPattern)
+ * @returns {string|RegExp|null} The matching pattern, or null
+ */
+function findMatchingPattern(url, patterns) {
+  if (!url || !Array.isArray(patterns)) return null;
+  return patterns.find(pattern => compileUrlPattern(pattern)(url)) || null;
+}
+
+module.exports = {
+  compileUrlPattern,
+  matchesAnyPattern,
+  findMatchingPattern
+};
@@ -0,0 +1,392 @@
+const sharp = require('sharp');
+const { captureRawScreenshot, resizeIfNeeded, resolveViewport } = require('./screenshotHandler');
+const { baselineId, createFileBaselineStore } = require('./baselineStore');
+
+// Per-pixel colour distance (0-1) above which a pixel counts as changed
+const DEFAULT_PIXEL_THRESHOLD = 0.1;
+// Share of changed pixels (percent) above which a comparison fails
+const DEFAULT_MAX_MISMATCH_PERCENT = parseFloat(process.env.VISUAL_DIFF_MAX_MISMATCH) || 0.5;
+// Changed pixels are grouped into regions on a grid of this cell size
+const REGION_CELL_SIZE = 16;
+const MAX_REGIONS = 20;
+// Larger comparisons are downscaled to about this many pixels first; the per-pixel loop
+// runs in JS, and long full-page captures would otherwise take seconds each
+const MAX_DIFF_PIXELS = parseInt(process.env.VISUAL_DIFF_MAX_PIXELS, 10) || 4000000;
+// Rows compared between yields to the event loop, so other requests keep being served
+const DIFF_BAND_ROWS = 128;
+
+// Maximum squared YIQ distance between two colours (black vs white)
+const MAX_YIQ_DELTA = 35215;
+
+let defaultStore = null;
+
+/**
+ * The store used when none is passed (filesystem store under BASELINE_DIR)
+ */
+function getDefaultStore() {
+  if (!defaultStore) defaultStore = createFileBaselineStore();
+  return defaultStore;
+}
+
+/**
+ * A number within [min, max]; anything that is not a finite number falls back
+ */
+function clampNumber(value, fallback, min, max) {
+  const parsed = Number(value);
+  if (value === undefined || value === null || value === '' || !Number.isFinite(parsed)) return fallback;
+  return Math.min(max, Math.max(min, parsed));
+}
+
+/**
+ * Parse and validate the diff tolerances from a request. Values may be numbers or numeric strings.
+ * @param {Object} options - { threshold, maxMismatchPercent }
+ * @returns {{threshold: number|undefined, maxMismatchPercent: number|undefined}} Undefined when not set
+ * @throws {Error} For values that are not numbers in range
+ */
+function parseDiffOptions(options = {}) {
+  const parse = (value, field, max) => {
+    if (value === undefined || value === null || value === '') return undefined;
+    const parsed = Number(value);
+    if (typeof value === 'boolean' || !Number.isFinite(parsed) || parsed < 0 || parsed > max) {
+      throw new Error(`"${field}" must be a number between 0 and ${max}`);
+    }
+    return parsed;
+  };
+
+  return {
+    threshold: parse(options.threshold, 'threshold', 1),
+    maxMismatchPercent: parse(options.maxMismatchPercent, 'maxMismatchPercent', 100)
+  };
+}
+
+/**
+ * Perceptual colour difference between two RGBA pixels (YIQ, as used by pixelmatch),
+ * with alpha blended against white
+ */
+function colorDelta(a, ai, b, bi) {
+  const blend = (c, alpha) => 255 + (c - 255) * alpha;
+  const alphaA = a[ai + 3] / 255;
+  const alphaB = b[bi + 3] / 255;
+  const r1 = blend(a[ai], alphaA), g1 = blend(a[ai + 1], alphaA), b1 = blend(a[ai + 2], alphaA);
+  const r2 = blend(b[bi], alphaB), g2 = blend(b[bi + 1], alphaB), b2 = blend(b[bi + 2], alphaB);
+
+  const y = (r1 - r2) * 0.29889531 + (g1 - g2) * 0.58662247 + (b1 - b2) * 0.11448223;
+  const i = (r1 - r2) * 0.59597799 - (g1 - g2) * 0.27417610 - (b1 - b2) * 0.32180189;
+  const q = (r1 - r2) * 0.21147017 - (g1 - g2) * 0.52261711 + (b1 - b2) * 0.31114694;
+  return 0.5053 * y * y + 0.299 * i * i + 0.1957 * q * q;
+}
+
+/**
+ * Group changed cells into connected regions (8-connectivity) and return their bounding boxes
+ * @param {Uint32Array} cellCounts - Changed pixel count per grid cell
+ * @param {number} columns - Grid columns
+ * @param {number} rows - Grid rows
+ * @param {number} width - Image width (to clamp boxes)
+ * @param {number} height - Image height
+ * @returns {Array<{x: number, y: number, width: number, height: number, changedPixels: number}>}
+ */
+function findChangedRegions(cellCounts, columns, rows, width, height) {
+  const visited = new Uint8Array(cellCounts.length);
+  const regions = [];
+
+  for (let start = 0; start < cellCounts.length; start++) {
+    if (!cellCounts[start] || visited[start]) continue;
+
+    let minCol = Infinity, maxCol = -1, minRow = Infinity, maxRow = -1, changedPixels = 0;
+    const stack = [start];
+    visited[start] = 1;
+    while (stack.length > 0) {
+      const cell = stack.pop();
+      const col = cell % columns;
+      const row = Math.floor(cell / columns);
+      changedPixels += cellCounts[cell];
+      minCol = Math.min(minCol, col);
+      maxCol = Math.max(maxCol, col);
+      minRow = Math.min(minRow, row);
+      maxRow = Math.max(maxRow, row);
+
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const nCol = col + dx;
+          const nRow = row + dy;
+          if (nCol < 0 || nRow < 0 || nCol >= columns || nRow >= rows) continue;
+          const neighbour = nRow * columns + nCol;
+          if (cellCounts[neighbour] && !visited[neighbour]) {
+            visited[neighbour] = 1;
+            stack.push(neighbour);
+          }
+        }
+      }
+    }
+
+    const x = minCol * REGION_CELL_SIZE;
+    const y = minRow * REGION_CELL_SIZE;
+    regions.push({
+      x,
+      y,
+      width: Math.min(width, (maxCol + 1) * REGION_CELL_SIZE) - x,
+      height: Math.min(height, (maxRow + 1) * REGION_CELL_SIZE) - y,
+      changedPixels
+    });
+  }
+
+  return regions.sort((a, b) => b.changedPixels - a.changedPixels);
+}
+
+/**
+ * Draw a rectangle outline into an RGBA buffer
+ */
+function strokeRect(data, width, height, region, color, thickness = 2) {
+  const paint = (x, y) => {
+    if (x < 0 || y < 0 || x >= width || y >= height) return;
+    const index = (y * width + x) * 4;
+    data[index] = color[0];
+    data[index + 1] = color[1];
+    data[index + 2] = color[2];
+    data[index + 3] = 255;
+  };
+  for (let t = 0; t < thickness; t++) {
+    for (let x = region.x; x < region.x + region.width; x++) {
+      paint(x, region.y + t);
+      paint(x, region.y + region.height - 1 - t);
+    }
+    for (let y = region.y; y < region.y + region.height; y++) {
+      paint(region.x + t, y);
+      paint(region.x + region.width - 1 - t, y);
+    }
+  }
+}
+
+/**
+ * Compare two screenshots pixel by pixel.
+ * Images of different sizes are compared on a canvas of the larger size; pixels
+ * present in only one image count as changed. Canvases above VISUAL_DIFF_MAX_PIXELS are
+ * downscaled before comparing; region boxes and pixel counts are then scaled back up
+ * to capture pixels.
+ * @param {Buffer} baselineImage - Approved image
+ * @param {Buffer} currentImage - New capture
+ * @param {Object} options
+ * @param {number} options.threshold - Per-pixel colour distance 0-1 (default: 0.1)
+ * @param {number} options.quality - JPEG quality of the diff image (default: 70)
+ * @returns {Promise<{mismatchedPixels: number, totalPixels: number, mismatchPercent: number, diffScale: number, sizeChanged: boolean, baselineSize: Object, currentSize: Object, regions: Array, diffImage: Buffer}>}
+ */
+async function diffImages(baselineImage, currentImage, options = {}) {
+  const threshold = clampNumber(options.threshold, DEFAULT_PIXEL_THRESHOLD, 0, 1);
+  const maxDelta = MAX_YIQ_DELTA * threshold * threshold;
+
+  const [baseMeta, currentMeta] = await Promise.all([sharp(baselineImage).metadata(), sharp(currentImage).metadata()]);
+  const fullWidth = Math.max(baseMeta.width, currentMeta.width);
+  const fullHeight = Math.max(baseMeta.height, currentMeta.height);
+  const scale = Math.min(1, Math.sqrt(MAX_DIFF_PIXELS / (fullWidth * fullHeight)));
+
+  const decode = (image, meta) => {
+    let pipeline = sharp(image);
+    if (scale < 1) {
+      pipeline = pipeline.resize(Math.max(1, Math.round(meta.width * scale)), Math.max(1, Math.round(meta.height * scale)), { fit: 'fill' });
+    }
+    return pipeline.ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  };
+  const [base, current] = await Promise.all([decode(baselineImage, baseMeta), decode(currentImage, currentMeta)]);
+
+  const width = Math.max(base.info.width, current.info.width);
+  const height = Math.max(base.info.height, current.info.height);
+  const columns = Math.ceil(width / REGION_CELL_SIZE);
+  const rows = Math.ceil(height / REGION_CELL_SIZE);
+  const cellCounts = new Uint32Array(columns * rows);
+  const diff = Buffer.alloc(width * height * 4);
+  let mismatchedPixels = 0;
+
+  for (let bandStart = 0; bandStart < height; bandStart += DIFF_BAND_ROWS) {
+    if (bandStart > 0) await new Promise(resolve => setImmediate(resolve));
+    const bandEnd = Math.min(height, bandStart + DIFF_BAND_ROWS);
+    for (let y = bandStart; y < bandEnd; y++) {
+      for (let x = 0; x < width; x++) {
+        const out = (y * width + x) * 4;
+        const inBase = x < base.info.width && y < base.info.height;
+        const inCurrent = x < current.info.width && y < current.info.height;
+        const bi = (y * base.info.width + x) * 4;
+        const ci = (y * current.info.width + x) * 4;
+
+        const changed = !inBase || !inCurrent || colorDelta(base.data, bi, current.data, ci) > maxDelta;
+        if (changed) {
+          mismatchedPixels++;
+          cellCounts[Math.floor(y / REGION_CELL_SIZE) * columns + Math.floor(x / REGION_CELL_SIZE)]++;
+          diff[out] = 255;
+          diff[out + 1] = 0;
+          diff[out + 2] = 0;
+        } else {
+          // Faded greyscale of the current image so changes stand out
+          const luminance = current.data[ci] * 0.299 + current.data[ci + 1] * 0.587 + current.data[ci + 2] * 0.114;
+          const faded = 255 - (255 - luminance) * 0.25;
+          diff[out] = faded;
+          diff[out + 1] = faded;
+          diff[out + 2] = faded;
+        }
+        diff[out + 3] = 255;
+      }
+    }
+  }
+
+  const regions = findChangedRegions(cellCounts, columns, rows, width, height);
+  for (const region of regions.slice(0, MAX_REGIONS)) {
+    strokeRect(diff, width, height, region, [255, 0, 255]);
+  }
+
+  const quality = Math.min(100, Math.max(0, options.quality || 70));
+  const diffJpeg = await sharp(diff, { raw: { width, height, channels: 4 } }).jpeg({ quality }).toBuffer();
+  const diffImage = await resizeIfNeeded(diffJpeg, quality);
+
+  // Back to capture pixels when the comparison ran on downscaled images
+  const area = scale * scale;
+  const toCapturePixels = region => ({
+    x: Math.round(region.x / scale),
+    y: Math.round(region.y / scale),
+    width: Math.round(region.width / scale),
+    height: Math.round(region.height / scale),
+    changedPixels: Math.round(region.changedPixels / area)
+  });
+
+  return {
+    mismatchedPixels: Math.round(mismatchedPixels / area),
+    totalPixels: fullWidth * fullHeight,
+    mismatchPercent: Math.round((mismatchedPixels / (width * height)) * 10000) / 100,
+    diffScale: Math.round(scale * 1000) / 1000,
+    sizeChanged: baseMeta.width !== currentMeta.width || baseMeta.height !== currentMeta.height,
+    baselineSize: { width: baseMeta.width, height: baseMeta.height },
+    currentSize: { width: currentMeta.width, height: currentMeta.height },
+    regionCount: regions.length,
+    regions: regions.slice(0, MAX_REGIONS).map(toCapturePixels),
+    diffImage
+  };
+}
+
+/**
+ * Capture a page and compare it with its approved baseline.
+ * The capture is always stored as the page's candidate so it can be approved later.
+ * @param {string} url - Page URL
+ * @param {Object} options
+ * @param {string|Object} options.viewport - Viewport name, device name or custom size (default: desktop; see resolveViewport)
+ * @param {boolean} options.fullPage - Full-page capture (default: true)
+ * @param {string[]} options.hideSelectors - Elements hidden before capture (e.g. chat widgets)
+ * @param {string[]} options.maskSelectors - Elements covered with a solid box (e.g. carousels, timestamps)
+ * @param {string} options.maskColor - Mask colour
+ * @param {boolean} options.dismissPopups - Dismiss cookie banners, modals and chat widgets (default: true)
+ * @param {string[]} options.popupClickSelectors - Extra elements clicked to close popups
+ * @param {string[]} options.popupHideSelectors - Extra popups removed from the page
+ * @param {number} options.threshold - Per-pixel colour distance 0-1 (default: 0.1)
+ * @param {number} options.maxMismatchPercent - Fail above this share of changed pixels (default: 0.5)
+ * @param {boolean} options.approveIfMissing - Store the capture as the baseline when none exists
+ * @param {Object} options.store - Baseline store (default: filesystem store, see baselineStore.js)
+ * @returns {Promise<Object>} Diff result with status PASS | FAIL | SKIPPED
+ */
+async function runVisualDiff(url, options = {}) {
+  const store = options.store || getDefaultStore();
+  const resolved = resolveViewport(options.viewport || 'desktop');
+  const viewport = resolved.name;
+  const fullPage = options.fullPage !== false;
+  const maxMismatchPercent = clampNumber(options.maxMismatchPercent, DEFAULT_MAX_MISMATCH_PERCENT, 0, 100);
+  const id = baselineId(url, viewport, fullPage);
+
+  const capture = await captureRawScreenshot(url, options.viewport || 'desktop', fullPage, {
+    hideSelectors: options.hideSelectors,
+    maskSelectors: options.maskSelectors,
+    maskColor: options.maskColor,
+    dismissPopups: options.dismissPopups,
+    popupClickSelectors: options.popupClickSelectors,
+    popupHideSelectors: options.popupHideSelectors
+  });
+  const { width, height } = await sharp(capture).metadata();
+  const meta = { id, url, viewport, fullPage, width, height, capturedAt: new Date().toISOString() };
+
+  await store.save(id, 'candidate', capture, meta);
+
+  const baseline = await store.load(id, 'baseline');
+  if (!baseline) {
+    if (options.approveIfMissing) {
+      await store.save(id, 'baseline', capture, { ...meta, approvedAt: meta.capturedAt });
+      console.log(`[VISUAL-DIFF] No baseline for ${id}; capture stored as the new baseline`);
+    } else {
+      console.log(`[VISUAL-DIFF] No baseline for ${id}; capture stored as candidate`);
+    }
+    return {
+      status: 'SKIPPED',
+      issue: null,
+      reason: options.approveIfMissing
+        ? 'No baseline existed; this capture is now the approved baseline'
+        : 'No approved baseline yet; approve this capture to use it as the baseline',
+      baselineId: id,
+      baselineCreated: !!options.approveIfMissing,
+      baseline: null,
+      candidate: meta,
+      mismatchPercent: null,
+      regions: [],
+      diffImage: null
+    };
+  }
+
+  const result = await diffImages(baseline.image, capture, { threshold: options.threshold });
+  const failed = result.mismatchPercent > maxMismatchPercent;
+  console.log(`[VISUAL-DIFF] ${id}: ${result.mismatchPercent}% changed (${result.regionCount} region(s))`);
+
+  let issue = null;
+  if (failed) {
+    issue = `${result.mismatchPercent}% of pixels changed since the approved baseline (limit ${maxMismatchPercent}%)`;
+    if (result.sizeChanged) {
+      issue += `; page size changed from ${result.baselineSize.width}x${result.baselineSize.height} to ${result.currentSize.width}x${result.currentSize.height}`;
+    }
+  }
+
+  return {
+    status: failed ? 'FAIL' : 'PASS',
+    issue,
+    baselineId: id,
+    baselineCreated: false,
+    baseline: baseline.meta,
+    candidate: meta,
+    maxMismatchPercent,
+    ...result
+  };
+}
+
+/**
+ * Promote the latest candidate capture of a page to its approved baseline
+ * @param {string} id - Baseline id (from runVisualDiff or baselineId)
+ * @param {Object} options
+ * @param {Object} options.store - Baseline store (default: filesystem store)
+ * @param {string} options.approvedBy - Optional reviewer name stored with the baseline
+ * @returns {Promise<Object|null>} Metadata of the new baseline, or null when there is no candidate
+ */
+async function approveBaseline(id, options = {}) {
+  const store = options.store || getDefaultStore();
+  const candidate = await store.load(id, 'candidate');
+  if (!candidate) return null;
+
+  const meta = {
+    ...candidate.meta,
+    approvedAt: new Date().toISOString(),
+    approvedBy: options.approvedBy || null
+  };
+  await store.save(id, 'baseline', candidate.image, meta);
+  console.log(`[VISUAL-DIFF] Approved baseline ${id}`);
+  return meta;
+}
+
+/**
+ * List approved baselines
+ * @param {Object} options
+ * @param {Object} options.store - Baseline store (default: filesystem store)
+ * @returns {Promise<Array<Object>>} Baseline metadata
+ */
+async function listBaselines(options = {}) {
+  const store = options.store || getDefaultStore();
+  return store.list('baseline');
+}
+
+module.exports = {
+  runVisualDiff,
+  approveBaseline,
+  listBaselines,
+  diffImages,
+  parseDiffOptions,
+  baselineId
+};